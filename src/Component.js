@@ -31,6 +31,9 @@
 	/** @type {boolean} - Flag to indicate that the Component module has been included */
 	CINEMA_COMPONENTS.COMPONENT_INCLUDED = true;
 
+	/** @type {number} - The number of components created (used to give each a unique id) */
+	var componentCount = 0;
+
 	/**
 	 * Abstract constructor for Component.
 	 * Represents a component for displaying and interacting with a database.
@@ -44,6 +47,8 @@
 			throw new Error("Cannot instantiate abstract class 'Component.'"+
 				" Please use a subclass.");
 
+		var self = this;
+
 		/** @type {DOM} The parent DOM object to build this component inside of */
 		this.parent = parent;
 
@@ -52,6 +57,8 @@
 
 		/** @type {CINEMA_COMPONENTS.Database} A reference to the database behind this component */
 		this.db = database;
+		/** @type {number} A unique id for this component (used to name its event handlers on the database) */
+		this.componentId = componentCount++;
 		/** @type {string[]} The filtered list of dimensions that are shown on the component */
 		this.dimensions = [];
 
@@ -61,9 +68,21 @@
 		/** @type {RegExp} The regex used to filter out dimensions to not be shown on the component*/
 		this.filter = filterRegex;
 
+		/** @type {Object} Colors for rows with each tag (see getTagColor()), keyed by tag */
+		this.tagColors = {};
+		/** @type {Object} Colors from the color scheme for each tag, keyed by tag
+		 * (built by getTagColor() when needed, null when the tags may have changed) */
+		this.schemeTagColors = null;
+		//Show changes to the database's annotations
+		this.db.dispatch.on('annotationsChanged.component'+this.componentId, function() {
+			self.schemeTagColors = null;
+			self.updateAnnotations();
+		});
+
 		//Get filtered Dimensions according to filterRegex
+		//(dimensions marked as hidden in the database's dimension metadata are also left out)
 		this.dimensions = this.db.dimensions.filter(function(d) {
-			return filterRegex ? !filterRegex.test(d) : true;
+			return (filterRegex ? !filterRegex.test(d) : true) && !database.isHiddenDimension(d);
 		});
 
 		//Create DOM content
@@ -90,13 +109,181 @@
 		this.container.style.height = this.parentRect.height+'px';
 	};
 
+	/**
+	 * Update the list of dimensions shown on the component to match the dimensions in the
+	 * database (e.g. after a derived dimension is added), applying the filterRegex and
+	 * leaving out hidden dimensions.
+	 * Dimensions already shown keep their order and new dimensions are added to the end.
+	 * Returns true if the list of dimensions changed.
+	 */
+	CINEMA_COMPONENTS.Component.prototype.updateDimensions = function() {
+		var self = this;
+		var dimensions = this.db.dimensions.filter(function(d) {
+			return (self.filter ? !self.filter.test(d) : true) && !self.db.isHiddenDimension(d);
+		});
+		var kept = this.dimensions.filter(function(d) {
+			return dimensions.indexOf(d) !== -1;
+		});
+		var added = dimensions.filter(function(d) {
+			return kept.indexOf(d) === -1;
+		});
+		if (added.length == 0 && kept.length == this.dimensions.length)
+			return false;
+		this.dimensions = kept.concat(added);
+		return true;
+	};
+
+	/**
+	 * Create a new d3 scale suited to the type of the given dimension.
+	 * Point scales for string and boolean dimensions, time scales for date and
+	 * date/time dimensions and linear scales for everything else (or log scales if
+	 * that is the dimension's preferred scale and all of its values are positive).
+	 * (The domain and range of the scale are left for the caller to set)
+	 * @param {string} dimension - The dimension the scale is for
+	 */
+	CINEMA_COMPONENTS.Component.prototype.createScale = function(dimension) {
+		if (this.db.isCategoricalDimension(dimension))
+			return d3.scalePoint();
+		if (this.db.isTemporalDimension(dimension))
+			return d3.scaleTime();
+		if (this.db.getDimensionMetadata(dimension).scale === 'log') {
+			if (this.db.dimensionDomains[dimension][0] > 0)
+				return d3.scaleLog();
+			console.warn("Cannot use a log scale for dimension '"+dimension+"' because it has values that are not positive.");
+		}
+		return d3.scaleLinear();
+	};
+
+	/**
+	 * Set whether this component should update itself whenever the data in its database
+	 * changes (such as while the database is watching for changes with startWatching()).
+	 * When enabled, the component handles the database's 'dataUpdated' event with
+	 * handleDataUpdate().
+	 * @param {boolean} enabled - Whether to update automatically
+	 */
+	CINEMA_COMPONENTS.Component.prototype.setAutoUpdate = function(enabled) {
+		var self = this;
+		this.db.dispatch.on('dataUpdated.component'+this.componentId, enabled ?
+			function(updateInfo) {self.handleDataUpdate(updateInfo);} : null);
+	};
+
+	/**
+	 * Update the component after the data in its database has changed.
+	 * Selected and highlighted data are kept on the same rows (rows that were removed are
+	 * dropped from them), then updateData() is called.
+	 * Subclasses with other lists of indices should override this to update them as well.
+	 * @param {Object} updateInfo - The summary of the changes sent with the database's 'dataUpdated' event
+	 */
+	CINEMA_COMPONENTS.Component.prototype.handleDataUpdate = function(updateInfo) {
+		if (Array.isArray(this.selection))
+			this.selection = CINEMA_COMPONENTS.Component.remapIndices(this.selection, updateInfo);
+		if (Array.isArray(this.highlighted))
+			this.highlighted = CINEMA_COMPONENTS.Component.remapIndices(this.highlighted, updateInfo);
+		this.updateData();
+	};
+
+	/**
+	 * Should be called whenever the data in the associated database changes.
+	 * Actual implementation is up to specific subclasses
+	 */
+	CINEMA_COMPONENTS.Component.prototype.updateData = function() {};
+
+	/**
+	 * Called whenever the tags or notes on rows in the database change.
+	 * Actual implementation is up to specific subclasses
+	 */
+	CINEMA_COMPONENTS.Component.prototype.updateAnnotations = function() {};
+
+	/**
+	 * Get the state of the component's view (such as its brushes, axes or sorting) as an object
+	 * that can be given to setViewState() to return to it (e.g. by a CINEMA_COMPONENTS.History).
+	 * Returns undefined if the component has no view state.
+	 * Actual implementation is up to specific subclasses
+	 */
+	CINEMA_COMPONENTS.Component.prototype.getViewState = function() {
+		return undefined;
+	};
+
+	/**
+	 * Return the component's view to a state from getViewState().
+	 * Actual implementation is up to specific subclasses
+	 * @param {Object} state - The state to return to
+	 */
+	CINEMA_COMPONENTS.Component.prototype.setViewState = function(state) {};
+
+	/**
+	 * Link the component to a CINEMA_COMPONENTS.SelectionModel, so that it publishes its
+	 * changes (such as its selection or the data under the mouse) to the model and shows
+	 * the model's changes. Called by SelectionModel.attach().
+	 * Handlers on the component should be named '.selectionModel'+model.modelId and handlers on
+	 * the model '.component'+componentId, so that unlinkSelectionModel() can remove them.
+	 * Actual implementation is up to specific subclasses (SelectionModel.attach() refuses
+	 * components that do not implement it)
+	 * @param {CINEMA_COMPONENTS.SelectionModel} model - The model
+	 */
+	CINEMA_COMPONENTS.Component.prototype.linkSelectionModel = function(model) {};
+
+	/**
+	 * Unlink the component from a CINEMA_COMPONENTS.SelectionModel (removes the handlers
+	 * added by linkSelectionModel()). Called by SelectionModel.detach().
+	 * @param {CINEMA_COMPONENTS.SelectionModel} model - The model
+	 */
+	CINEMA_COMPONENTS.Component.prototype.unlinkSelectionModel = function(model) {
+		if (this.dispatch)
+			this.dispatch.on('.selectionModel'+model.modelId, null);
+		model.dispatch.on('.component'+this.componentId, null);
+	};
+
+	/**
+	 * Get the color to draw the row with the given index in, according to its tags.
+	 * This is the color of the row's first tag, either from tagColors or, if the tag
+	 * has no color there, from a color scheme (by the order the tags were first added to the
+	 * database, see its tagOrder, so that a tag keeps its color).
+	 * Returns undefined if the row has no tags.
+	 * @param {number} index - The index of the row
+	 */
+	CINEMA_COMPONENTS.Component.prototype.getTagColor = function(index) {
+		var self = this;
+		var tag = this.db.getTags(index)[0];
+		if (tag === undefined)
+			return undefined;
+		if (this.tagColors[tag])
+			return this.tagColors[tag];
+		if (!this.schemeTagColors) {
+			this.schemeTagColors = {};
+			this.db.tagOrder.forEach(function(t, i) {
+				self.schemeTagColors[t] = d3.schemeCategory10[i % 10];
+			});
+		}
+		return this.schemeTagColors[tag];
+	};
+
 	/**
 	 * Remove this component from the scene
 	 */
 	CINEMA_COMPONENTS.Component.prototype.destroy = function() {
+		this.setAutoUpdate(false);
+		this.db.dispatch.on('annotationsChanged.component'+this.componentId, null);
 		d3.select(this.container).remove();
 	};
 
+	/**
+	 * Get the indices of the given rows after a change to the data, using the newIndices
+	 * of the updateInfo sent with the database's 'dataUpdated' event.
+	 * Rows that were removed are left out.
+	 * @param {number[]} indices - Indices of rows before the change
+	 * @param {Object} updateInfo - The summary of the changes
+	 */
+	CINEMA_COMPONENTS.Component.remapIndices = function(indices, updateInfo) {
+		if (!updateInfo || !updateInfo.newIndices)
+			return indices;
+		return indices.map(function(i) {
+			return i < updateInfo.newIndices.length ? updateInfo.newIndices[i] : -1;
+		}).filter(function(i) {
+			return i >= 0;
+		});
+	};
+
 	/**
 	 * Constructor for Margin object
 	 * Defines the top,right,bottom and left margins for drawing a component.
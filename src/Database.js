@@ -7,6 +7,8 @@
 	 * The Database module for the CINEMA_COMPONENTS library.
 	 * Contains functions and objects for dealing with the purely data-related 
 	 * parts of a SpecD database. (Parsing, Querying, etc. data. No GUI stuff)
+	 * SpecA and SpecC databases (described by an info.json file) are also supported
+	 * by converting them into the same model as a SpecD database.
 	 * 
 	 * @exports CINEMA_COMPONENTS
 	 * 
@@ -14,11 +16,14 @@
 	 */
 
 	//If CINEMA_COMPONENTS is already defined, add to it, otherwise create it
+	//(Outside of a browser, such as in Node, there is no window. CINEMA_COMPONENTS
+	//is exported as a module instead)
+	var root = typeof window !== 'undefined' ? window : {};
 	var CINEMA_COMPONENTS = {}
-	if (window.CINEMA_COMPONENTS)
-		CINEMA_COMPONENTS = window.CINEMA_COMPONENTS;
+	if (root.CINEMA_COMPONENTS)
+		CINEMA_COMPONENTS = root.CINEMA_COMPONENTS;
 	else
-		window.CINEMA_COMPONENTS = CINEMA_COMPONENTS;
+		root.CINEMA_COMPONENTS = CINEMA_COMPONENTS;
 
 	/** @type {boolean} - Flag to indicate that the Database module has been included */
 	CINEMA_COMPONENTS.DATABASE_INCLUDED = true;
@@ -30,96 +35,678 @@
 	CINEMA_COMPONENTS.DIMENSION_TYPE = Object.freeze({
 			INTEGER: 0,
 			FLOAT: 1,
-			STRING: 2
+			STRING: 2,
+			BOOLEAN: 3,
+			DATE: 4,
+			DATETIME: 5
 		});
+
+	//Shortcut to the dimension type enum
+	//(also defined in the source of the loading worker, which cannot see CINEMA_COMPONENTS)
+	var DIMENSION_TYPE = CINEMA_COMPONENTS.DIMENSION_TYPE;
+
+	/**
+	 * ValidationReport
+	 * A list of all the problems (issues) found in a database's files.
+	 * Each issue is an object with the fields:
+	 * severity {string}: 'error' (the file cannot be used) or 'warning' (the file can be used,
+	 *     but may not be shown the way it was intended)
+	 * code {string}: An identifier for the kind of problem (e.g. 'RAGGED_ROW')
+	 * message {string}: A description of the problem
+	 * file {string}: The name of the file with the problem (e.g. 'data.csv')
+	 * line {number?}: The line in the file (starting at 1) where the problem is, if there is one
+	 * column {number?}: The column in the file (starting at 1) where the problem is, if there is one
+	 * dimension {string?}: The dimension with the problem, if there is one
+	 *
+	 * @constructor
+	 * @param {Object[]} issues - The issues in the report
+	 */
+	CINEMA_COMPONENTS.ValidationReport = function(issues) {
+		/** @type {Object[]} - The issues in the report */
+		this.issues = issues ? issues.slice() : [];
+	};
+
+	/**
+	 * Add issues to the report
+	 * @param {Object[]} issues - The issues to add
+	 */
+	CINEMA_COMPONENTS.ValidationReport.prototype.add = function(issues) {
+		Array.prototype.push.apply(this.issues, issues);
+	};
+
+	/**
+	 * Get all the issues with a severity of 'error'
+	 */
+	CINEMA_COMPONENTS.ValidationReport.prototype.getErrors = function() {
+		return this.issues.filter(function(issue) {return issue.severity === 'error';});
+	};
+
+	/**
+	 * Get all the issues with a severity of 'warning'
+	 */
+	CINEMA_COMPONENTS.ValidationReport.prototype.getWarnings = function() {
+		return this.issues.filter(function(issue) {return issue.severity === 'warning';});
+	};
+
+	/**
+	 * Check if there are any issues with a severity of 'error'
+	 */
+	CINEMA_COMPONENTS.ValidationReport.prototype.hasErrors = function() {
+		return this.issues.some(function(issue) {return issue.severity === 'error';});
+	};
+
+	/**
+	 * Get the report as text, with one issue on each line.
+	 * e.g. "ERROR data.csv line 5: Line has 3 values but the header has 4. (RAGGED_ROW)"
+	 * @param {string} severity - Only include issues with this severity (optional)
+	 */
+	CINEMA_COMPONENTS.ValidationReport.prototype.toString = function(severity) {
+		return this.issues.filter(function(issue) {
+			return !severity || issue.severity === severity;
+		}).map(function(issue) {
+			var location = issue.file || '';
+			if (issue.line !== undefined)
+				location += ' line ' + issue.line;
+			if (issue.column !== undefined)
+				location += (issue.line !== undefined ? ',' : '') + ' column ' + issue.column;
+			return issue.severity.toUpperCase() + (location ? ' ' + location.trim() : '') + ': ' +
+				issue.message + ' (' + issue.code + ')';
+		}).join('\n');
+	};
+
+	/**
+	 * Check the files of a database for problems, without loading it.
+	 * Doesn't need a browser, so it can also be used in Node (e.g. by the cinema-validate command).
+	 * The data file (data.csv, or info.json if there is no data file), axis_order.csv,
+	 * dimensions.json and annotations.csv are checked and, if a fileExists function is given,
+	 * so is every file referenced in a FILE dimension.
+	 * @param {Object} files - The text of each of the database's files, keyed by file name
+	 * (e.g. {'data.csv': '...', 'axis_order.csv': '...'}). Leave out files that do not exist.
+	 * A compressed data file should be given decompressed (under its own name, e.g. 'data.csv.gz').
+	 * @param {function({string} path):boolean} fileExists - Function to check if a file referenced in
+	 * the data exists (given its path relative to the database directory) (optional)
+	 * @param {Object} options - How the data file is written (optional), the same as the Database
+	 * constructor's options: dataFile, delimiter, comment and typesRow
+	 * @return {CINEMA_COMPONENTS.ValidationReport} A report of every problem found
+	 */
+	CINEMA_COMPONENTS.validateDatabaseFiles = function(files, fileExists, options) {
+		options = options || {};
+		var report = new CINEMA_COMPONENTS.ValidationReport();
+		var dataFile = options.dataFile || 'data.csv';
+		var format = getDataFormat(options, dataFile);
+		var data, lines;
+
+		//The data file (or info.json)
+		if (files[dataFile] !== undefined) {
+			lines = [];
+			data = parseCSV(files[dataFile], lines, 1, format.delimiter, format.comment);
+			if (format.typesRow)
+				report.add(readTypesRow(data, lines, {}, dataFile).issues);
+			report.add(validateData(data, lines, dataFile));
+		}
+		else if (files['info.json'] !== undefined) {
+			var result;
+			try {
+				result = parseInfoJSON(JSON.parse(files['info.json']));
+			}
+			catch (e) {
+				result = {error: "info.json is not valid JSON. " + e.message};
+			}
+			if (result.error) {
+				report.add([{severity: 'error', code: 'INVALID_INFO_JSON', message: result.error, file: 'info.json'}]);
+				return report;
+			}
+			data = result.data;
+			report.add(validateData(data, undefined, 'info.json'));
+		}
+		else {
+			report.add([{severity: 'error', code: 'FILE_NOT_FOUND', message: "There is no "+dataFile+" (or info.json).",
+				file: dataFile}]);
+			return report;
+		}
+		if (data.length === 0)
+			return report;
+		var dimensions = data[0];
+
+		//dimensions.json
+		if (files['dimensions.json'] !== undefined) {
+			var warnings;
+			try {
+				warnings = parseDimensionMetadata(JSON.parse(files['dimensions.json'])).warnings;
+			}
+			catch (e) {
+				warnings = ["dimensions.json is not valid JSON. " + e.message];
+			}
+			report.add(warnings.map(function(warning) {
+				return {severity: 'warning', code: 'INVALID_METADATA', message: warning, file: 'dimensions.json'};
+			}));
+		}
+
+		//axis_order.csv
+		if (files['axis_order.csv'] !== undefined) {
+			var axisLines = [];
+			var axisData = parseCSV(files['axis_order.csv'], axisLines);
+			report.add(validateAxisOrderData(axisData, dimensions, axisLines));
+		}
+
+		//annotations.csv
+		if (files['annotations.csv'] !== undefined) {
+			var annotationLines = [];
+			var annotationData = parseCSV(files['annotations.csv'], annotationLines);
+			report.add(validateAnnotationData(annotationData, annotationLines, data));
+		}
+
+		//Files referenced in FILE dimensions
+		if (fileExists) {
+			dimensions.forEach(function(d, c) {
+				if (!/^FILE/.test(d))
+					return;
+				for (var i = 1; i < data.length; i++) {
+					var path = data[i][c];
+					//(URLs can't be checked)
+					if (path === undefined || path.trim() === '' || /^[a-z][a-z0-9+.\-]*:\/\//i.test(path))
+						continue;
+					if (!fileExists(path))
+						report.add([{
+							severity: 'error',
+							code: 'MISSING_ASSET',
+							message: "File '"+path+"' does not exist.",
+							file: lines ? dataFile : 'info.json',
+							line: lines ? lines[i] : undefined,
+							column: c+1,
+							dimension: d
+						}]);
+				}
+			});
+		}
+
+		return report;
+	};
 	
 	/**
 	 * Database
 	 * Creates a new instance of Database which represents the data in a SpecD Database
+	 * If the directory has no data.csv file, an info.json file (SpecA or SpecC) will be
+	 * loaded instead and converted into the same rows and dimensions.
 	 * 
 	 * @constructor
 	 * @param {string} directory - Path to the '.cdb' directory containing the database
 	 * @param {function({Database} self)} callback - Function to call when loading has finished 
 	 * (only called if loading finished without errors)
-	 * @param {function({string} message)} errorCallback - Function to call if errors were found with data
+	 * @param {function({CINEMA_COMPONENTS.ValidationReport} report)} errorCallback - Function to call if
+	 * the data could not be loaded or has errors. Called with a report of all the issues found
 	 * @param {Object} filter - An object defining a filter to apply to the incoming data (so that
 	 * only some of the data from the file is actually represented in the database). Keys in the
-	 * filter object should match a numeric dimension and contain an array of two values representing
-	 * the minimum and maximum values to allow.
+	 * filter object should match a dimension and each value is either:
+	 * - An array of two values, the minimum and maximum values to allow (for numeric, date and
+	 *   date/time dimensions)
+	 * - An array of the values to allow (for string and boolean dimensions)
+	 * - A RegExp that values (as they are written in the file) must match
+	 * - An object with any of 'min', 'max', 'in' (an array of allowed values), 'regex' and
+	 *   'dropNaN' (if true, rows with NaN or undefined values in the dimension are removed.
+	 *   Otherwise they are kept)
+	 * The number of rows removed is counted in filteredRowCount and filteredRowCounts.
+	 * @param {Object} options - Additional loading options. Fields are:
+	 * useWorker {boolean}: Parse data.csv and build the data in a Web Worker so that large files
+	 *     do not freeze the page. Falls back to loading on the main thread if workers are unavailable.
+	 * chunkSize {number}: When using a worker, the number of characters to parse at a time between
+	 *     progress updates. (Default 1048576)
+	 * dimensionTypes {Object}: Types to use for some dimensions instead of inferring them from the data.
+	 *     Keys are dimension names and values are either a DIMENSION_TYPE or the name of one
+	 *     (e.g. {id: 'string'} so that values like '007' are kept as they are)
+	 * categoryOrders {Object}: The order to put the categories (values) of string dimensions in,
+	 *     keyed by dimension (see setCategoryOrder()). Categories are in the order they first
+	 *     appear in the data by default.
+	 * files {Object}: The text of the database's files (data.csv or info.json and, optionally,
+	 *     dimensions.json, axis_order.csv and annotations.csv) keyed by file name, to load instead of requesting
+	 *     them from the directory. The data file may also be given as bytes (an ArrayBuffer or typed array).
+	 *     (See also fromCSVText(), fromRows() and fromFileList())
+	 * localFiles {Object}: Files (File or Blob objects) keyed by their path relative to the directory.
+	 *     Paths in FILE dimensions are resolved to these files (see getFilePath()). Set by fromFileList().
+	 * dataFile {string}: The name of the data file in the directory (default 'data.csv'), e.g. 'data.csv.gz'
+	 *     or 'data.tsv'. Data files are decompressed if they are gzip-compressed (whatever their name).
+	 * delimiter {string}: The character between values in the data file (default ',', or a tab if the
+	 *     data file is named like '.tsv')
+	 * comment {string}: Lines in the data file starting with this (e.g. '#') are skipped
+	 * typesRow {boolean}: If true, the second row of the data file has the type of each dimension
+	 *     (the name of a DIMENSION_TYPE, or empty to infer it). Types in the dimensionTypes option
+	 *     take precedence.
 	 */
-	CINEMA_COMPONENTS.Database = function(directory, callback, errorCallback, filter) {
+	CINEMA_COMPONENTS.Database = function(directory, callback, errorCallback, filter, options) {
 		/** @type {string} - Path to the '.cdb' directory containing the database */
 		this.directory = directory;
 	
 		/** @type {boolean} - Whether or not the database has finished loading */
 		this.loaded = false;
 
+		/** @type {string} - The spec the database was loaded from ('A', 'C' or 'D') */
+		this.spec;
+
 		/** @type {string?} - The error message for errors found in the data. Undefined if no errors */
 		this.error;
 
-		/** @type {Object[]} - An array of the data rows */
-		this.data = [];
+		/** @type {CINEMA_COMPONENTS.ValidationReport} - All the issues (errors and warnings) found
+		 * while loading the database's files */
+		this.validationReport = new CINEMA_COMPONENTS.ValidationReport();
+
+		//NOTE that the data is stored in columns (see getColumn()). The 'data' field
+		//(an array of row objects) is still available but is only built when it is first used
+
+		/** @type {Object} - Contains the column of values for each dimension */
+		this.columns = {};
+		/** @type {number} - The number of rows in the data */
+		this.rowCount = 0;
+		/** @type {Object[]?} - The data rows, once they have been built from the columns */
+		this.materializedData;
 		/** @type {string[]} - An array of dimension names for the data (column headers) */
 		this.dimensions = [];
 		/** @type {Object} - Contains the type for each dimension */
 		this.dimensionTypes = {};
 		/** @type {Object} - Contains the domains for each dimension (formatted like the domain for a d3 scale) */
 		this.dimensionDomains = {};
+		/** @type {Object[]} - The dimensions computed from expressions (see addDerivedDimension()),
+		 * in the order they were added. Each has a 'name' and an 'expression' */
+		this.derivedDimensions = [];
+
+		/** @type {Object} - Results of getStatistics() and getCorrelationMatrix() for the current data */
+		this.statisticsCache = {};
 
 		/** @type {Object} - The filter applied to incoming data */
 		this.filter = filter
+		/** @type {number} - The number of rows removed from the data by the filter */
+		this.filteredRowCount = 0;
+		/** @type {Object} - The number of rows removed by the filter for each dimension, keyed by
+		 * dimension (a row is only counted for the first dimension whose filter removes it) */
+		this.filteredRowCounts = {};
+
+		/** @type {Object} - Additional loading options */
+		this.options = options || {};
+
+		/** @type {Object} - Types to use for dimensions instead of inferring them (see options.dimensionTypes
+		 * and options.typesRow) */
+		this.typeOverrides = getTypeOverrides(this.options.dimensionTypes);
+
+		/** @type {string} - The name of the data file in the directory (see options.dataFile) */
+		this.dataFile = this.options.dataFile || 'data.csv';
+		/** @type {Object} - How the data file is written: the 'delimiter' between values, the 'comment'
+		 * prefix of lines to skip (if any) and whether it has a 'typesRow' */
+		this.dataFormat = getDataFormat(this.options, this.dataFile);
+		/** @type {boolean} - Whether the data file is gzip-compressed */
+		this.compressed = false;
+
+		/** @type {Object} - The order of the categories in each string dimension's domain (see setCategoryOrder()) */
+		this.categoryOrders = getCategoryOrders(this.options.categoryOrders);
+
+		/** @type {Object} Display information for dimensions, from the dimensions.json file (if it exists)
+		 * Keys are dimension names and values are objects with any of the fields: label, unit,
+		 * description, format, scale and hidden (see setDimensionMetadata()) */
+		this.dimensionMetadata = {};
 
 		/** @type {boolean} Whether or not this database has additional axis ordering data */
 		this.hasAxisOrdering = false;
 		/** @type {Object} Axis Ordering data (if it exists) */
 		this.axisOrderData;
 
-		this.dispatch = d3.dispatch("dataUpdated");
+		/** @type {d3.dispatch} Hook for events on the database
+		 * 'dataUpdated': Triggered when a call to refreshData() finds changes in the data
+		 *     or when a derived dimension is added (called with an object summarizing the changes)
+		 * 'loadProgress': Triggered periodically while data.csv is being loaded in a worker
+		 *     (called with an object containing the number of bytes loaded, the total number
+		 *     of bytes (if known) and the number of rows parsed so far)
+		 * 'annotationsChanged': Triggered when tags or notes are added to or removed from rows
+		 *     (called with an object with the 'indices' of the rows that changed)
+		 * 'axisOrderChanged': Triggered when an axis ordering is added or removed
+		 *     (called with the axisOrderData)
+		 */
+		this.dispatch = d3.dispatch("dataUpdated", "loadProgress", "annotationsChanged", "axisOrderChanged");
+		initAnnotations(this);
 
 		this.errorCallback = errorCallback;
 
+		/** @type {Object?} - For databases loaded with fromFileList(), the files in the directory keyed
+		 * by their path relative to it (see the localFiles option). Undefined otherwise */
+		this.localFiles = this.options.localFiles;
+		/** @type {Object?} - Object URLs created for localFiles (see getFilePath()) */
+		this.fileURLs;
+
+		/** @type {number?} - The interval checking data.csv for changes (see startWatching()).
+		 * Undefined if the database is not watching for changes */
+		this.watchInterval;
+
 		var self = this;
-		self.path = directory+'/data.csv';
-		getAndParseCSV(self.path, function(data_arr, request) {
-			self.prevContentLength = request.getResponseHeader('Content-Length');	
+		self.path = directory+'/'+self.dataFile;
+
+		//Read the database's files from memory if they were given, otherwise request them
+		//(format is how the file is written, see getDataFormat())
+		var files = self.options.files;
+		var loadCSV = function(file, callback, errorCallback, format) {
+			if (files)
+				getFileText(files, file, function(text, compressed) {
+					var lines = [];
+					callback(parseCSV(text, lines, 1, format && format.delimiter, format && format.comment),
+						null, lines, compressed);
+				}, errorCallback);
+			else
+				getAndParseCSV(directory+'/'+file, callback, errorCallback, format);
+		};
+		var loadJSON = function(file, callback, errorCallback) {
+			if (files)
+				getFileText(files, file, function(text) {
+					var data;
+					try {
+						data = JSON.parse(text);
+					}
+					catch (e) {
+						console.warn("Could not parse " + file + ": " + e.message);
+						if (errorCallback)
+							errorCallback();
+						return;
+					}
+					callback(data);
+				}, errorCallback);
+			else
+				getJSON(directory+'/'+file, callback, errorCallback);
+		};
+
+		//Called once the data (from either data.csv or info.json) has been
+		//converted into an array of rows
+		//(lines is the line in the file that each row starts on, if known)
+		var onDataLoaded = function(data_arr, lines, file) {
+			//Read the types row (if there is one)
+			var typeIssues = [];
+			if (file === self.dataFile && self.dataFormat.typesRow) {
+				var result = readTypesRow(data_arr, lines, self.typeOverrides, file);
+				self.typeOverrides = result.types;
+				typeIssues = result.issues;
+			}
 
 			//Check for errors
-			self.error = checkErrors(data_arr);
-			if (self.error) {
-				console.warn(self.error);
-				if (errorCallback)
-					errorCallback();
+			var issues = typeIssues.concat(validateData(data_arr, lines, file));
+			if (issues.some(function(issue) {return issue.severity === 'error';})) {
+				onDataError(issues);
 				return;
 			}
 
-			calcData(self, data_arr);
+			onModelBuilt(buildModel(data_arr, self.filter, self.typeOverrides), issues);
+		};
+
+		//Called if errors were found in the data (or it could not be loaded)
+		var onDataError = function(issues) {
+			self.validationReport.add(issues);
+			self.error = self.validationReport.toString('error');
+			console.warn(self.validationReport.toString());
+			if (errorCallback)
+				errorCallback(self.validationReport);
+		};
+
+		//Called once the data has been converted into dimensions and rows
+		//(issues are any warnings found in the data)
+		var onModelBuilt = function(model, issues) {
+			applyModel(self, model);
+			self.validationReport.add(issues);
+
+			//Attempt to load a dimensions.json file
+			loadJSON('dimensions.json',
+				//Normal callback, if dimensions.json found
+				function(json) {
+					var result = parseDimensionMetadata(json, self.dimensionTypes);
+					self.validationReport.add(result.warnings.map(function(warning) {
+						return {severity: 'warning', code: 'INVALID_METADATA', message: warning, file: 'dimensions.json'};
+					}));
+					self.dimensionMetadata = result.metadata;
+					loadAxisOrder();
+				},
+				//Error callback, if dimensions.json request fails
+				loadAxisOrder
+			);
+		};
 
-			//Attempt to load an axis_order.csv file
-			getAndParseCSV(directory+'/axis_order.csv',
+		//Attempt to load an axis_order.csv file, then annotations
+		var loadAxisOrder = function() {
+			loadCSV('axis_order.csv',
 				//Normal callback, if axis_order.csv found
-				function(axis_data_arr) {
-					var error = checkAxisDataErrors(axis_data_arr,self.dimensions);
-					if (!error) {
+				function(axis_data_arr, request, lines) {
+					var issues = validateAxisOrderData(axis_data_arr, self.dimensions, lines);
+					self.validationReport.add(issues);
+					if (!issues.some(function(issue) {return issue.severity === 'error';})) {
 						self.hasAxisOrdering = true;
 						self.axisOrderData = parseAxisOrderData(axis_data_arr);
 					}
-					else
-						console.warn("ERROR in axis_order.csv: " + error);
-					self.loaded = true;
-					if (callback)
-						callback(self);
+					loadAnnotations();
 				},
 				//Error callback, if axis_order.csv request fails
-				function() {
-					self.loaded = true;
-					if (callback)
-						callback(self);
-				}
+				loadAnnotations
 			);
-		//errorCallback. If data.csv request fails
-		}, function() {
-			if (errorCallback)
-				errorCallback("Error loading data.csv!");
+		};
+
+		//Attempt to load an annotations.csv file, then finish loading
+		var loadAnnotations = function() {
+			loadCSV('annotations.csv',
+				//Normal callback, if annotations.csv found
+				function(annotation_data_arr, request, lines) {
+					self.validationReport.add(addAnnotationData(self, annotation_data_arr, lines));
+					finishLoading();
+				},
+				//Error callback, if annotations.csv request fails
+				finishLoading
+			);
+		};
+
+		//Called once all the files have been loaded
+		var finishLoading = function() {
+			//Errors in the optional files don't stop the database from loading
+			if (self.validationReport.issues.length > 0)
+				console.warn(self.validationReport.toString());
+			self.loaded = true;
+			if (callback)
+				callback(self);
+		};
+
+		//If data.csv request fails, try loading info.json instead
+		//(unless the file was there but could not be decompressed, which is an error of its own)
+		var onCSVFailed = function(error) {
+			if (error) {
+				onDataError([{severity: 'error', code: 'DECOMPRESSION_FAILED', file: self.dataFile,
+					message: "Could not decompress "+self.dataFile+": "+error.message}]);
+				return;
+			}
+			loadJSON('info.json', function(info) {
+				var result = parseInfoJSON(info);
+				if (result.error) {
+					onDataError([{severity: 'error', code: 'INVALID_INFO_JSON', message: result.error, file: 'info.json'}]);
+					return;
+				}
+				self.spec = result.spec;
+				onDataLoaded(result.data, undefined, 'info.json');
+			//If info.json request fails too
+			}, function() {
+				onDataError([{severity: 'error', code: 'FILE_NOT_FOUND', file: self.dataFile,
+					message: "Could not load "+self.dataFile+" (or info.json) from '"+directory+"'."}]);
+			});
+		};
+
+		//Load the data file on the main thread
+		var loadOnMainThread = function() {
+			loadCSV(self.dataFile, function(data_arr, request, lines, compressed) {
+				self.spec = 'D';
+				self.compressed = compressed;
+				if (request)
+					setFileVersion(self, request.getResponseHeader('Content-Length'),
+						request.getResponseHeader('ETag'), request.getResponseHeader('Last-Modified'));
+				onDataLoaded(data_arr, lines, self.dataFile);
+			}, onCSVFailed, self.dataFormat);
+		};
+
+		//Attempt to load data.csv in a worker
+		var worker = self.options.useWorker && !files ? createLoadingWorker() : null;
+		if (worker) {
+			worker.onerror = function(e) {
+				e.preventDefault();
+				worker.terminate();
+				console.warn("Error in worker loading data. Loading on main thread instead.");
+				loadOnMainThread();
+			};
+			worker.onmessage = function(e) {
+				var message = e.data;
+				if (message.type === 'progress') {
+					self.dispatch.call('loadProgress', self, message.progress);
+				}
+				else if (message.type === 'done') {
+					worker.terminate();
+					self.spec = 'D';
+					self.compressed = message.compressed;
+					self.typeOverrides = message.types;
+					setFileVersion(self, message.contentLength, message.eTag, message.lastModified);
+					onModelBuilt(message.model, message.issues);
+				}
+				else if (message.type === 'dataError') {
+					worker.terminate();
+					onDataError(message.issues);
+				}
+				else if (message.type === 'requestError') {
+					worker.terminate();
+					onCSVFailed();
+				}
+				else if (message.type === 'unsupported') {
+					worker.terminate();
+					loadOnMainThread();
+				}
+			};
+			worker.postMessage({
+				//Worker is created from a blob, so it needs an absolute URL
+				path: new URL(self.path, document.baseURI).href,
+				file: self.dataFile,
+				format: self.dataFormat,
+				filter: self.filter,
+				types: self.typeOverrides,
+				chunkSize: self.options.chunkSize || 1048576
+			});
+		}
+		else
+			loadOnMainThread();
+	};
+
+	/**
+	 * Create a database from the text of a data.csv file (e.g. one generated in the page)
+	 * rather than requesting it. Loads like the Database constructor, so the callbacks are
+	 * called after this returns.
+	 * @param {string|ArrayBuffer} text - The CSV text (or the bytes of the file, which may be gzip-compressed)
+	 * @param {function({Database} self)} callback - Function to call when loading has finished
+	 * @param {function({CINEMA_COMPONENTS.ValidationReport} report)} errorCallback - Function to
+	 * call if the data has errors
+	 * @param {Object} filter - A filter to apply to the data (see the Database constructor)
+	 * @param {Object} options - Loading options (see the Database constructor). May also contain
+	 * 'directory', the directory that paths in FILE dimensions are relative to (default '.')
+	 * @return {CINEMA_COMPONENTS.Database} The new database
+	 */
+	CINEMA_COMPONENTS.Database.fromCSVText = function(text, callback, errorCallback, filter, options) {
+		options = Object.assign({}, options);
+		options.files = {};
+		options.files[options.dataFile || 'data.csv'] = text;
+		return new CINEMA_COMPONENTS.Database(options.directory || '.', callback, errorCallback, filter, options);
+	};
+
+	/**
+	 * Create a database from an array of row objects (like the 'data' field).
+	 * The dimensions are the keys of the rows, in order of appearance. Values are converted
+	 * into text and their types inferred as if they were read from a data.csv file.
+	 * Loads like the Database constructor, so the callbacks are called after this returns.
+	 * @param {Object[]} rows - The rows of data
+	 * @param {function({Database} self)} callback - Function to call when loading has finished
+	 * @param {function({CINEMA_COMPONENTS.ValidationReport} report)} errorCallback - Function to
+	 * call if the data has errors
+	 * @param {Object} filter - A filter to apply to the data (see the Database constructor)
+	 * @param {Object} options - Loading options (see fromCSVText())
+	 * @return {CINEMA_COMPONENTS.Database} The new database
+	 */
+	CINEMA_COMPONENTS.Database.fromRows = function(rows, callback, errorCallback, filter, options) {
+		var dimensions = [];
+		rows.forEach(function(row) {
+			Object.keys(row).forEach(function(d) {
+				if (dimensions.indexOf(d) === -1)
+					dimensions.push(d);
+			});
+		});
+		var data_arr = [dimensions].concat(rows.map(function(row) {
+			return dimensions.map(function(d) {return toCSVString(row[d]);});
+		}));
+		return CINEMA_COMPONENTS.Database.fromCSVText(toCSVText(data_arr), callback, errorCallback, filter, options);
+	};
+
+	/**
+	 * Create a database from files chosen by the user, such as the files of an
+	 * <input type="file" webkitdirectory> element or files and directories dropped on the page.
+	 * The database's directory is the (least nested) directory with a data file (data.csv
+	 * or the dataFile option) or an info.json file and paths in FILE dimensions are resolved to the matching files in the list
+	 * (see getFilePath()).
+	 * Since the files must be read first, the database is only given to the callback.
+	 * @param {FileList|File[]|DataTransfer} files - The files. Each file's path is its
+	 * webkitRelativePath (or name). Given a DataTransfer (e.g. from a drop event), the contents of
+	 * any dropped directories are included.
+	 * @param {function({Database} self)} callback - Function to call when loading has finished
+	 * @param {function({CINEMA_COMPONENTS.ValidationReport} report)} errorCallback - Function to
+	 * call if there is no data file or the data has errors
+	 * @param {Object} filter - A filter to apply to the data (see the Database constructor)
+	 * @param {Object} options - Loading options (see the Database constructor)
+	 */
+	CINEMA_COMPONENTS.Database.fromFileList = function(files, callback, errorCallback, filter, options) {
+		var dataFile = (options && options.dataFile) || 'data.csv';
+		collectFiles(files, function(entries) {
+			//Find the database's directory
+			var directory;
+			entries.forEach(function(entry) {
+				var match = /^(.*\/)?([^\/]*)$/.exec(entry.path);
+				if (match[2] === dataFile || match[2] === 'info.json') {
+					var dir = match[1] || '';
+					if (directory === undefined || dir.split('/').length < directory.split('/').length ||
+						(dir === directory && match[2] === dataFile))
+						directory = dir;
+				}
+			});
+			if (directory === undefined) {
+				if (errorCallback)
+					errorCallback(new CINEMA_COMPONENTS.ValidationReport([{severity: 'error', code: 'FILE_NOT_FOUND',
+						file: dataFile, message: "There is no "+dataFile+" (or info.json) in the given files."}]));
+				return;
+			}
+
+			//Files in the database's directory, by their path relative to it
+			var localFiles = {};
+			entries.forEach(function(entry) {
+				if (entry.path.indexOf(directory) === 0)
+					localFiles[entry.path.substring(directory.length)] = entry.file;
+			});
+
+			//Read the text of the database's own files, then load it
+			//(The data file is read as bytes, since it may be compressed)
+			var texts = {};
+			var toRead = [dataFile, 'info.json', 'dimensions.json', 'axis_order.csv', 'annotations.csv'].filter(function(file) {
+				return localFiles[file] !== undefined;
+			});
+			var remaining = toRead.length;
+			toRead.forEach(function(file) {
+				var reader = new FileReader();
+				reader.onload = function() {
+					texts[file] = reader.result;
+					if (--remaining === 0)
+						load();
+				};
+				reader.onerror = function() {
+					if (--remaining === 0)
+						load();
+				};
+				if (file === dataFile)
+					reader.readAsArrayBuffer(localFiles[file]);
+				else
+					reader.readAsText(localFiles[file]);
+			});
+			var load = function() {
+				options = Object.assign({}, options);
+				options.files = texts;
+				options.localFiles = localFiles;
+				new CINEMA_COMPONENTS.Database(directory.replace(/\/$/, '') || '.',
+					callback, errorCallback, filter, options);
+			};
 		});
 	};
 
@@ -131,129 +718,730 @@
 		return this.dimensionTypes[dimension] === CINEMA_COMPONENTS.DIMENSION_TYPE.STRING;
 	};
 
+	/**
+	 * Shortcut function to check if a given dimension has a set of discrete values
+	 * (string and boolean dimensions) rather than a numeric range
+	 * @param {string} dimension - The dimension to check
+	 */
+	CINEMA_COMPONENTS.Database.prototype.isCategoricalDimension = function(dimension) {
+		return this.dimensionTypes[dimension] === CINEMA_COMPONENTS.DIMENSION_TYPE.STRING ||
+			this.dimensionTypes[dimension] === CINEMA_COMPONENTS.DIMENSION_TYPE.BOOLEAN;
+	};
+
+	/**
+	 * Shortcut function to check if a given dimension holds points in time
+	 * (date and date/time dimensions)
+	 * @param {string} dimension - The dimension to check
+	 */
+	CINEMA_COMPONENTS.Database.prototype.isTemporalDimension = function(dimension) {
+		return this.dimensionTypes[dimension] === CINEMA_COMPONENTS.DIMENSION_TYPE.DATE ||
+			this.dimensionTypes[dimension] === CINEMA_COMPONENTS.DIMENSION_TYPE.DATETIME;
+	};
+
+	/**
+	 * Set the order of the categories (values) in the domain of a string dimension.
+	 * The order is one of:
+	 * - 'file': The order they first appear in the data (the default)
+	 * - 'natural': Alphanumeric order, with numbers in the values compared by their value
+	 *   (e.g. 'run2' before 'run10')
+	 * - 'frequency': The most common categories first
+	 * - {mean: dimension}: By the mean value of the rows in each category on another (numeric)
+	 *   dimension, smallest first (categories with no values on it are last)
+	 * - An array of the categories in order (categories not in it follow in the order they appear
+	 *   in the data)
+	 * The order is kept when the data is updated.
+	 * Triggers the dataUpdated event (so that components can update their scales).
+	 * @param {string} dimension - The string dimension
+	 * @param {string|Object|string[]} order - The order of its categories
+	 * @throws {Error} If the dimension is not a string dimension or the order is not valid
+	 */
+	CINEMA_COMPONENTS.Database.prototype.setCategoryOrder = function(dimension, order) {
+		if (this.dimensions.indexOf(dimension) === -1)
+			throw new Error("Dimension '"+dimension+"' does not exist.");
+		if (!this.isStringDimension(dimension))
+			throw new Error("Cannot order categories of dimension '"+dimension+"'. It is not a string dimension.");
+		var error = getCategoryOrderError(this, order);
+		if (error)
+			throw new Error(error);
+
+		var updateInfo = createUpdateInfo(this);
+		this.categoryOrders[dimension] = order;
+		this.dimensionDomains = Object.assign({}, this.dimensionDomains);
+		this.dimensionDomains[dimension] = getOrderedCategories(this, dimension);
+		this.dispatch.call("dataUpdated", this, updateInfo);
+	};
+
+	/** The named orders that categories can be put in (see setCategoryOrder()) */
+	var CATEGORY_ORDERS = ['file', 'natural', 'frequency'];
+
+	/**
+	 * Check whether the given value has the form of a category order (see setCategoryOrder())
+	 */
+	var isCategoryOrder = function(order) {
+		return CATEGORY_ORDERS.indexOf(order) !== -1 || Array.isArray(order) ||
+			(typeof order === 'object' && order !== null && typeof order.mean === 'string');
+	};
+
+	/**
+	 * Get the reason the given category order cannot be used in the database
+	 * (undefined if it can be used)
+	 * @param {object} self - The database object
+	 * @param {string|Object|string[]} order - The category order
+	 */
+	var getCategoryOrderError = function(self, order) {
+		if (!isCategoryOrder(order))
+			return "Unknown category order "+JSON.stringify(order)+
+				". Use 'file', 'natural', 'frequency', {mean: dimension} or an array of categories.";
+		if (order.mean !== undefined && (!self.columns[order.mean] || self.columns[order.mean].codes))
+			return "Cannot order categories by dimension '"+order.mean+"'. It must be a numeric dimension.";
+	};
+
+	/**
+	 * Get the categories (distinct values) of a string dimension, in the order set for it in
+	 * the database's categoryOrders (see setCategoryOrder())
+	 * Orders that cannot be used (such as by a dimension that no longer exists) are ignored
+	 * with a warning.
+	 * @param {object} self - The database object
+	 * @param {string} dimension - The string dimension
+	 */
+	var getOrderedCategories = function(self, dimension) {
+		var column = self.columns[dimension];
+		var order = self.categoryOrders[dimension] || 'file';
+		var error = getCategoryOrderError(self, order);
+		if (error) {
+			console.warn(error+" The categories of dimension '"+dimension+"' will be in the order they appear in the data instead.");
+			order = 'file';
+		}
+
+		//Count the rows in each category (and sum their values on the dimension to order by)
+		var counts = column.dictionary.map(function() {return 0;});
+		var sums = column.dictionary.map(function() {return 0;});
+		var valueCounts = column.dictionary.map(function() {return 0;});
+		var byColumn = order.mean !== undefined ? self.columns[order.mean] : undefined;
+		for (var i = 0; i < self.rowCount; i++) {
+			var code = column.codes[i];
+			if (code < 0)
+				continue;
+			counts[code]++;
+			if (byColumn && !isNaN(byColumn.values[i])) {
+				sums[code] += byColumn.values[i];
+				valueCounts[code]++;
+			}
+		}
+		//Categories are the values used in the data, in the order they first appear
+		var codes = d3.range(column.dictionary.length).filter(function(c) {return counts[c] > 0;});
+
+		if (order === 'natural') {
+			codes.sort(function(a, b) {
+				return column.dictionary[a].localeCompare(column.dictionary[b], undefined, {numeric: true});
+			});
+		}
+		else if (order === 'frequency') {
+			codes.sort(function(a, b) {return (counts[b] - counts[a]) || (a - b);});
+		}
+		else if (byColumn) {
+			codes.sort(function(a, b) {
+				if (valueCounts[a] === 0 || valueCounts[b] === 0)
+					return (valueCounts[a] === 0) - (valueCounts[b] === 0) || (a - b);
+				return (sums[a]/valueCounts[a] - sums[b]/valueCounts[b]) || (a - b);
+			});
+		}
+		else if (Array.isArray(order)) {
+			var position = function(c) {
+				var p = order.indexOf(column.dictionary[c]);
+				return p === -1 ? Infinity : p;
+			};
+			codes.sort(function(a, b) {return (position(a) - position(b)) || (a - b);});
+		}
+		return codes.map(function(c) {return column.dictionary[c];});
+	};
+
+	/**
+	 * Get the display information for a dimension (see setDimensionMetadata())
+	 * Returns an empty object if there is none.
+	 * @param {string} dimension - The dimension to get information for
+	 */
+	CINEMA_COMPONENTS.Database.prototype.getDimensionMetadata = function(dimension) {
+		return this.dimensionMetadata[dimension] || {};
+	};
+
+	/**
+	 * Set the display information for a dimension (replacing any that was loaded from dimensions.json)
+	 * @param {string} dimension - The dimension to set information for
+	 * @param {Object} metadata - Object with any of the fields:
+	 * label {string}: The name to show for the dimension
+	 * unit {string}: The unit of the dimension's values
+	 * description {string}: A longer description (shown in tooltips)
+	 * format {string}: How to format values in the dimension. A d3-format specifier (e.g. '.2f')
+	 *     or a d3-time-format specifier for date and date/time dimensions (e.g. '%Y-%m-%d')
+	 * scale {string}: The preferred scale for the dimension, 'linear' or 'log'
+	 * hidden {boolean}: If true, components will not show the dimension
+	 */
+	CINEMA_COMPONENTS.Database.prototype.setDimensionMetadata = function(dimension, metadata) {
+		var json = {};
+		json[dimension] = metadata;
+		var result = parseDimensionMetadata(json, this.dimensionTypes);
+		result.warnings.forEach(function(warning) {console.warn(warning);});
+		this.dimensionMetadata[dimension] = result.metadata[dimension];
+	};
+
+	/**
+	 * Get the name to show for a dimension. This is its label (or name, if it
+	 * has no label) followed by its unit in parentheses (if it has one)
+	 * @param {string} dimension - The dimension to get the label for
+	 */
+	CINEMA_COMPONENTS.Database.prototype.getDimensionLabel = function(dimension) {
+		var metadata = this.getDimensionMetadata(dimension);
+		var label = metadata.label !== undefined ? metadata.label : dimension;
+		return metadata.unit !== undefined ? label + " (" + metadata.unit + ")" : label;
+	};
+
+	/**
+	 * Get a function to format values in the dimension with, according to its format
+	 * (see setDimensionMetadata()). Returns null if the dimension has no format.
+	 * @param {string} dimension - The dimension to get the format for
+	 */
+	CINEMA_COMPONENTS.Database.prototype.getDimensionFormat = function(dimension) {
+		var format = this.getDimensionMetadata(dimension).format;
+		if (format === undefined || this.isCategoricalDimension(dimension))
+			return null;
+		try {
+			if (this.isTemporalDimension(dimension))
+				return d3.timeFormat(format);
+			return d3.format(format);
+		}
+		//(Invalid formats are reported once, when the metadata is loaded or set, rather than on every call)
+		catch (e) {
+			return null;
+		}
+	};
+
+	/**
+	 * Check if the given dimension should be hidden by components
+	 * @param {string} dimension - The dimension to check
+	 */
+	CINEMA_COMPONENTS.Database.prototype.isHiddenDimension = function(dimension) {
+		return this.getDimensionMetadata(dimension).hidden === true;
+	};
+
+	/**
+	 * An array of the data rows. Each row is an object with a value for each dimension.
+	 * (Numeric values are numbers and missing values are undefined)
+	 * The rows are built from the columns the first time this is used after the data changes.
+	 * Setting this replaces all of the data in the database with the given rows.
+	 */
+	Object.defineProperty(CINEMA_COMPONENTS.Database.prototype, 'data', {
+		get: function() {
+			if (!this.materializedData)
+				this.materializedData = materializeRows(this.columns, this.dimensions, this.rowCount);
+			return this.materializedData;
+		},
+		set: function(rows) {
+			var self = this;
+			//Derived dimensions are calculated again rather than taken from the rows
+			var dimensions = getSourceDimensions(self);
+			var data_arr = [dimensions].concat(rows.map(function(row) {
+				return dimensions.map(function(d) {
+					if (row[d] === undefined)
+						return undefined;
+					return row[d] instanceof Date ? row[d].toISOString() : String(row[d]);
+				});
+			}));
+			calcData(self, data_arr);
+		}
+	});
+
+	/**
+	 * Get the number of rows in the data
+	 */
+	CINEMA_COMPONENTS.Database.prototype.getRowCount = function() {
+		return this.rowCount;
+	};
+
+	/**
+	 * Get the value of the given dimension in the row with the given index.
+	 * Numeric values are returned as numbers, boolean values as booleans, date and date/time
+	 * values as Dates and missing values as undefined.
+	 * @param {number} index - The index of the row
+	 * @param {string} dimension - The dimension to get the value of
+	 */
+	CINEMA_COMPONENTS.Database.prototype.getValue = function(index, dimension) {
+		return getColumnValue(this.columns[dimension], index);
+	};
+
+	/**
+	 * Get the row with the given index as an object with a value for each dimension
+	 * @param {number} index - The index of the row
+	 */
+	CINEMA_COMPONENTS.Database.prototype.getRow = function(index) {
+		if (this.materializedData)
+			return this.materializedData[index];
+		return getRow(this.columns, this.dimensions, index);
+	};
+
+	/**
+	 * Get the column of values for the given dimension.
+	 * Every column has the 'type' of its dimension.
+	 * Columns for numeric, boolean, date and date/time dimensions have a 'values' Float64Array
+	 * and a 'missing' Uint8Array (1 where the value is undefined). Booleans are stored as 1 or 0
+	 * and dates and date/times as milliseconds since the epoch.
+	 * Columns for string dimensions have a 'codes' Int32Array of indices into a 'dictionary'
+	 * array of strings (-1 where the value is undefined).
+	 * Columns should not be modified.
+	 * @param {string} dimension - The dimension to get the column for
+	 */
+	CINEMA_COMPONENTS.Database.prototype.getColumn = function(dimension) {
+		return this.columns[dimension];
+	};
+
+	/**
+	 * Get the path to the file in a FILE dimension of the row with the given index
+	 * (the file's path in the data, relative to the database's directory).
+	 * Returns undefined if the row has no file.
+	 * @param {number} index - The index of the row
+	 * @param {string} dimension - The FILE dimension
+	 */
+	CINEMA_COMPONENTS.Database.prototype.getFilePath = function(index, dimension) {
+		var file = this.getValue(index, dimension);
+		if (file === undefined)
+			return undefined;
+		//Files loaded with fromFileList() are given object URLs (created the first time they are used)
+		var localFile = this.localFiles ? this.localFiles[file.replace(/^\.\//, '')] : undefined;
+		if (localFile) {
+			this.fileURLs = this.fileURLs || {};
+			if (!this.fileURLs[file])
+				this.fileURLs[file] = URL.createObjectURL(localFile);
+			return this.fileURLs[file];
+		}
+		return this.directory + '/' + file;
+	};
+
 	/**
 	 * Set the database's data and calculate dimension information based off the given
-	 * array of data. Sets the 'data', 'dimensions', 'dimensionTypes' and 'dimensionDomains'
-	 * fields in the given database.
+	 * array of data. Sets the 'columns', 'rowCount', 'dimensions', 'dimensionTypes' and
+	 * 'dimensionDomains' fields in the given database.
 	 * @param {object} self - The database object
 	 * @param {string} data_arr - The array of data (we assume it has already been error-checked)
 	 */
 	var calcData = function(self, data_arr) {
+		var model = buildModel(data_arr, self.filter, self.typeOverrides);
+		addDerivedColumns(model, self.derivedDimensions);
+		applyModel(self, model);
+	};
+
+	/**
+	 * Set the 'columns', 'rowCount', 'dimensions', 'dimensionTypes' and 'dimensionDomains'
+	 * fields in the given database from a model built with buildModel()
+	 * @param {object} self - The database object
+	 * @param {object} model - The model to apply
+	 */
+	var applyModel = function(self, model) {
+		self.dimensions = model.dimensions;
+		self.columns = model.columns;
+		self.rowCount = model.rowCount;
+		self.dimensionTypes = model.dimensionTypes;
+		self.dimensionDomains = model.dimensionDomains;
+		self.dimensions.forEach(function(d) {
+			if (self.isStringDimension(d))
+				self.dimensionDomains[d] = getOrderedCategories(self, d);
+		});
+		//(Models built from other models, such as for derived dimensions, keep the previous counts)
+		if (model.filteredRowCounts) {
+			self.filteredRowCount = model.filteredRowCount;
+			self.filteredRowCounts = model.filteredRowCounts;
+		}
+		//Rows will be rebuilt from the new columns when they are next used
+		self.materializedData = undefined;
+		//Statistics will be computed again for the new data
+		self.statisticsCache = {};
+	};
+
+	/**
+	 * Calculate the columns and dimension information for the given array of data.
+	 * Returns an object with 'columns', 'rowCount', 'dimensions', 'dimensionTypes'
+	 * and 'dimensionDomains' fields, along with the number of rows removed by the filter
+	 * ('filteredRowCount') and by the filter for each dimension ('filteredRowCounts').
+	 * This must not refer to anything outside of itself (other than DIMENSION_TYPE,
+	 * inferDimensionType() and parseValue() and the patterns they use) because it is also run inside the loading worker.
+	 * @param {string} data_arr - The array of data (we assume it has already been error-checked)
+	 * @param {Object} filter - The filter to apply to the data (see the Database constructor)
+	 * @param {Object} types - Types to use for dimensions instead of inferring them (see getTypeOverrides())
+	 */
+	var buildModel = function(data_arr, filter, types) {
+		var model = {columns: {}, dimensionTypes: {}, dimensionDomains: {}};
+
 		//Get dimensions (First row of data)
-		self.dimensions = data_arr[0];
-		
-		//Convert rows from arrays to objects
-		self.data = data_arr.slice(1).map(function(d) {
-			var obj = {};
-			self.dimensions.forEach(function(p,i){obj[p] = d[i];});
-			return obj;
+		model.dimensions = data_arr[0];
+		var rows = data_arr.slice(1);
+
+		//Determine dimension types
+		model.dimensions.forEach(function(d,c) {
+			if (types && types[d] !== undefined)
+				model.dimensionTypes[d] = types[d];
+			else
+				model.dimensionTypes[d] = inferDimensionType(rows, c);
 		});
 
-		//Keep track of data that gets caught in the filter while parsing
-		//to remove after all the parsing has been done
-		var filterdOut = []
+		//Get a function to test whether a value (as text) passes the filter for a dimension
+		//(or null if the filter is invalid). See the Database constructor for the forms of filters
+		var compileFilter = function(d, dimFilter, type) {
+			var isRegExp = function(x) {return Object.prototype.toString.call(x) === '[object RegExp]';};
+			var numeric = type !== DIMENSION_TYPE.STRING && type !== DIMENSION_TYPE.BOOLEAN;
+			if (isRegExp(dimFilter))
+				dimFilter = {regex: dimFilter};
+			else if (Array.isArray(dimFilter) && numeric) {
+				if (dimFilter.length != 2) {
+					console.warn("Filter for dimension '"+d+"' must be an array of length two (a minimum and maximum).");
+					return null;
+				}
+				dimFilter = {min: dimFilter[0], max: dimFilter[1]};
+			}
+			else if (Array.isArray(dimFilter))
+				dimFilter = {in: dimFilter};
+			else if (typeof dimFilter !== 'object') {
+				console.warn("Invalid filter for dimension '"+d+"'.");
+				return null;
+			}
+			//Convert values in the filter to values as they are stored
+			var toStored = function(value) {
+				if (type === DIMENSION_TYPE.STRING)
+					return String(value);
+				if (value && typeof value.getTime === 'function')
+					return value.getTime();
+				if (typeof value === 'boolean')
+					return value ? 1 : 0;
+				return typeof value === 'string' ? parseValue(value, type) : Number(value);
+			};
+			var min = dimFilter.min !== undefined ? toStored(dimFilter.min) : undefined;
+			var max = dimFilter.max !== undefined ? toStored(dimFilter.max) : undefined;
+			var allowed = dimFilter.in ? dimFilter.in.map(toStored) : undefined;
+			var regex = dimFilter.regex;
+			var dropNaN = dimFilter.dropNaN === true;
+			return function(text) {
+				//NaN and undefined values are kept unless dropNaN is set
+				if (text === undefined)
+					return !dropNaN;
+				var val = type === DIMENSION_TYPE.STRING ? text : parseValue(text, type);
+				if (val !== val)
+					return !dropNaN;
+				if (regex) {
+					regex.lastIndex = 0;
+					if (!regex.test(text))
+						return false;
+				}
+				return (min === undefined || val >= min) && (max === undefined || val <= max) &&
+					(!allowed || allowed.indexOf(val) !== -1);
+			};
+		};
+
+		//Remove any rows that are caught in the filter
+		//(counting the rows removed by the filter for each dimension)
+		model.filteredRowCounts = {};
+		model.dimensions.forEach(function(d,c) {
+			//Check if this dimension is listed in the filter
+			var dimFilter = filter ? filter[d] : null;
+			if (dimFilter === null || dimFilter === undefined)
+				return;
+			var test = compileFilter(d, dimFilter, model.dimensionTypes[d]);
+			if (!test)
+				return;
+			var count = rows.length;
+			rows = rows.filter(function(row) {
+				return test(row[c]);
+			});
+			model.filteredRowCounts[d] = count - rows.length;
+		});
+		model.rowCount = rows.length;
+		model.filteredRowCount = data_arr.length - 1 - rows.length;
 
-		//Determine dimension types and calculate domains
-		self.dimensions.forEach(function(d) {
-			//The value used to determine the dimension type
-			//is the first defined value in the column
-			var val = self.data[0][d];
-			var i = 0;
-			while (val === undefined && i < self.data.length)
-				val = self.data[++i][d];
-
-			//Check if value is a float or integer
-			//The text "NaN" (not case sensitive) counts as a float
-			if (!isNaN(val) || val.toUpperCase() === "NAN") {
-				if (isNaN(val) || !Number.isInteger(val))
-					self.dimensionTypes[d] = CINEMA_COMPONENTS.DIMENSION_TYPE.FLOAT;
-				else
-					self.dimensionTypes[d] = CINEMA_COMPONENTS.DIMENSION_TYPE.INTEGER;
-				//Check if this dimension is listed in the filter
-				var filter = self.filter ? self.filter[d] : null
-				if (filter && (!Array.isArray(filter) || filter.length != 2)) {
-					console.warn("Filter for dimension '"+d+"' must be an array of length two.")
-					filter = null
-				}
-				//calculate domain for numeric dimension
-				var i;//the first index to contain a value that is not "NaN"
-				for (i = 0; i < self.data.length && isNaN(self.data[i][d]); i++) {}
-				if (i == self.data.length)
-					//if all values are NaN, domain is [0,0]
-					self.dimensionDomains[d] = [0,0]
-				else {
-					var min = self.data[i][d];
-					var max = self.data[i][d];
-					//Calculated min and max cannot extend outside of min and max
-					//defined in filter
-					if (filter) {
-						min = Math.max(min,filter[0])
-						max = Math.min(max,filter[1])
+		//Build columns and calculate domains
+		model.dimensions.forEach(function(d,c) {
+			var type = model.dimensionTypes[d];
+			//Numeric, boolean, date and date/time columns store values in a typed array,
+			//along with a second array marking undefined values
+			if (type !== DIMENSION_TYPE.STRING) {
+				var values = new Float64Array(rows.length);
+				var missing = new Uint8Array(rows.length);
+				var min = Infinity, max = -Infinity;
+				for (var i = 0; i < rows.length; i++) {
+					if (rows[i][c] === undefined) {
+						values[i] = NaN;
+						missing[i] = 1;
+						continue;
 					}
-					for (var j = i; j < self.data.length; j++) {
-						if (!isNaN(self.data[j][d])) {
-							//Ignore data that lies outside the min and max defined in the filter
-							if (filter &&
-								(self.data[j][d] < filter[0] || self.data[j][d] > filter[1])
-							) {
-								filterdOut[j] = true;
-								continue;
-							}
-							min = Math.min(min,self.data[j][d]);
-							max = Math.max(max,self.data[j][d]);
-						}
+					values[i] = parseValue(rows[i][c], type);
+					if (!isNaN(values[i])) {
+						min = Math.min(min,values[i]);
+						max = Math.max(max,values[i]);
 					}
-					self.dimensionDomains[d] = [min,max];
 				}
+				model.columns[d] = {type: type, values: values, missing: missing};
+				//if all values are NaN, domain is [0,0]
+				if (min > max)
+					min = max = 0;
+				if (type === DIMENSION_TYPE.BOOLEAN)
+					model.dimensionDomains[d] = [false,true];
+				else if (type === DIMENSION_TYPE.DATE || type === DIMENSION_TYPE.DATETIME)
+					model.dimensionDomains[d] = [new Date(min), new Date(max)];
+				else
+					model.dimensionDomains[d] = [min,max];
 			}
-			//Anything else is a string type
+			//String columns are dictionary-encoded
+			//Each value is stored as an index into a list of unique strings
 			else {
-				self.dimensionTypes[d] = CINEMA_COMPONENTS.DIMENSION_TYPE.STRING;
-				self.dimensionDomains[d] = self.data.map(function(p){return p[d];});
+				var codes = new Int32Array(rows.length);
+				var dictionary = [];
+				var lookup = {};
+				for (var i = 0; i < rows.length; i++) {
+					var val = rows[i][c];
+					if (val === undefined) {
+						codes[i] = -1;
+						continue;
+					}
+					if (!lookup.hasOwnProperty(val)) {
+						lookup[val] = dictionary.length;
+						dictionary.push(val);
+					}
+					codes[i] = lookup[val];
+				}
+				model.columns[d] = {type: type, codes: codes, dictionary: dictionary};
+				model.dimensionDomains[d] = dictionary.slice();
 			}
-		});//end dimensions.foreach()
+		});
 
-		//Remove any data that was marked to be filtered out while parsing
-		self.data = self.data.filter(function(d,i){return !filterdOut[i]});
+		return model;
 	};
 
+	/** Dates recognized when inferring dimension types (YYYY-MM-DD) */
+	var DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+	/** Dates with times recognized when inferring dimension types (ISO 8601, e.g. 2018-06-01T12:30:00Z) */
+	var DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+
 	/**
-	 * Reloads the database's CSV file and refreshes the data if changes have been made.
-	 * If changes are found, sends an event through the dataUpdated dispatcher.
-	 * By default, this will only check that the size of the CSV has changed (i.e. rows have
-	 * been added or removed). Use the reloadAllData parameter to force an update of all data.
+	 * Determine the type of a column from all of its defined values.
+	 * - INTEGER if every value is a whole number written without a decimal point or exponent
+	 * - FLOAT if every value is a number (the text "NaN", not case sensitive, counts as a number)
+	 * - BOOLEAN if every value is "true" or "false" (not case sensitive)
+	 * - DATE if every value is a valid date formatted like YYYY-MM-DD
+	 * - DATETIME if every value is a valid ISO 8601 date or date and time
+	 * - STRING otherwise
+	 * (Numbers are never inferred to be DATETIME. Epoch seconds need a type override.)
+	 * A column with no defined values is a FLOAT.
+	 * @param {string[][]} rows - The rows of data (not including the header)
+	 * @param {number} c - The index of the column
 	 */
-	CINEMA_COMPONENTS.Database.prototype.refreshData = function(reloadAllData) {
-		var self = this;
+	var inferDimensionType = function(rows, c) {
+		var isInteger = true, isNumber = true, isBoolean = true, isDate = true, isDateTime = true;
+		var defined = false;
+		for (var i = 0; i < rows.length; i++) {
+			var val = rows[i][c];
+			if (val === undefined)
+				continue;
+			defined = true;
+			if (isNumber && isNaN(val) && val.toUpperCase() !== "NAN")
+				isNumber = false;
+			if (isInteger && !/^\s*[-+]?\d+\s*$/.test(val))
+				isInteger = false;
+			if (isBoolean && !/^(true|false)$/i.test(val))
+				isBoolean = false;
+			if (isDateTime && !((DATE_PATTERN.test(val) || DATETIME_PATTERN.test(val)) && !isNaN(Date.parse(val))))
+				isDateTime = isDate = false;
+			if (isDate && !DATE_PATTERN.test(val))
+				isDate = false;
+			if (!isNumber && !isBoolean && !isDateTime)
+				return DIMENSION_TYPE.STRING;
+		}
+		if (!defined)
+			return DIMENSION_TYPE.FLOAT;
+		if (isNumber)
+			return isInteger ? DIMENSION_TYPE.INTEGER : DIMENSION_TYPE.FLOAT;
+		if (isBoolean)
+			return DIMENSION_TYPE.BOOLEAN;
+		return isDate ? DIMENSION_TYPE.DATE : DIMENSION_TYPE.DATETIME;
+	};
 
-		if (reloadAllData) {
-			// Check all data in the file
-			getAndParseCSV(self.path,
-				function(data_arr, request) { 
-					dataUpdateCallback(self, data_arr, request); 
-				}, 
-				self.errorCallback);
+	/**
+	 * Convert a value from the CSV text to the number stored for it in a column of the given
+	 * (non-string) type. Values that can't be converted become NaN.
+	 * Booleans become 1 or 0 ("true"/"false" or "1"/"0") and dates and date/times become
+	 * milliseconds since the epoch. Numbers in date/time columns are read as seconds since the epoch.
+	 * @param {string} val - The value from the CSV text
+	 * @param {number} type - The DIMENSION_TYPE of the column
+	 */
+	var parseValue = function(val, type) {
+		if (type === DIMENSION_TYPE.BOOLEAN) {
+			if (/^\s*(true|1)\s*$/i.test(val))
+				return 1;
+			if (/^\s*(false|0)\s*$/i.test(val))
+				return 0;
+			return NaN;
 		}
-		else {
-			// Only check for file size changes
-			var xhReq = new XMLHttpRequest();
-			xhReq.open("HEAD", self.path, true);//HEAD request returns only Http response header
-			xhReq.onreadystatechange = function() {
-				if (xhReq.readyState === 4) {
+		if (type === DIMENSION_TYPE.DATE)
+			return Date.parse(val);
+		if (type === DIMENSION_TYPE.DATETIME)
+			return isNaN(val) ? Date.parse(val) : Number(val)*1000;
+		return Number(val);
+	};
+
+	/**
+	 * Convert the dimensionTypes option given to the Database constructor into an object
+	 * mapping dimension names to DIMENSION_TYPE values.
+	 * Types may be given either as DIMENSION_TYPE values or their names (not case sensitive).
+	 * Invalid types are ignored with a warning.
+	 * @param {Object} dimensionTypes - The dimensionTypes option
+	 */
+	var getTypeOverrides = function(dimensionTypes) {
+		var types = {};
+		for (var d in dimensionTypes) {
+			var type = dimensionTypes[d];
+			if (typeof type === 'string')
+				type = DIMENSION_TYPE[type.toUpperCase()];
+			if (Object.keys(DIMENSION_TYPE).some(function(k) {return DIMENSION_TYPE[k] === type;}))
+				types[d] = type;
+			else
+				console.warn("Unknown type '"+dimensionTypes[d]+"' for dimension '"+d+"'. It will be inferred from the data instead.");
+		}
+		return types;
+	};
+
+	/**
+	 * Get how the database's data file is written from the loading options
+	 * (see the delimiter, comment and typesRow options). Files named like '.tsv' are
+	 * tab-separated unless another delimiter is given.
+	 * @param {Object} options - The loading options
+	 * @param {string} dataFile - The name of the data file
+	 */
+	var getDataFormat = function(options, dataFile) {
+		var delimiter = /\.tsv(\.gz)?$/i.test(dataFile) ? '\t' : ',';
+		if (options.delimiter !== undefined) {
+			if (typeof options.delimiter === 'string' && options.delimiter.length === 1 && !/["\r\n]/.test(options.delimiter))
+				delimiter = options.delimiter;
+			else
+				console.warn("Invalid delimiter "+JSON.stringify(options.delimiter)+". It must be a single character "+
+					"other than a quote or line break. Using "+JSON.stringify(delimiter)+" instead.");
+		}
+		return {delimiter: delimiter, comment: options.comment || undefined, typesRow: options.typesRow === true};
+	};
+
+	/**
+	 * Check the category orders given in the options (see setCategoryOrder()),
+	 * leaving out (with a warning) any that are not valid
+	 * @param {Object} categoryOrders - The category order of each dimension
+	 */
+	var getCategoryOrders = function(categoryOrders) {
+		var orders = {};
+		for (var d in categoryOrders) {
+			if (isCategoryOrder(categoryOrders[d]))
+				orders[d] = categoryOrders[d];
+			else
+				console.warn("Unknown category order "+JSON.stringify(categoryOrders[d])+" for dimension '"+d+
+					"'. Its categories will be in the order they appear in the data instead.");
+		}
+		return orders;
+	};
+
+	/**
+	 * Get a list of the buffers behind the typed arrays in a model's columns.
+	 * (So that they can be transferred from a worker instead of copied)
+	 */
+	var getModelBuffers = function(model) {
+		var buffers = [];
+		for (var d in model.columns) {
+			var column = model.columns[d];
+			[column.values, column.missing, column.codes].forEach(function(array) {
+				if (array)
+					buffers.push(array.buffer);
+			});
+		}
+		return buffers;
+	};
+
+	/**
+	 * Get the value at the given index in a column (see Database.getColumn())
+	 */
+	var getColumnValue = function(column, index) {
+		if (column.codes) {
+			var code = column.codes[index];
+			return code < 0 ? undefined : column.dictionary[code];
+		}
+		if (column.missing[index])
+			return undefined;
+		var val = column.values[index];
+		if (column.type === DIMENSION_TYPE.BOOLEAN)
+			return isNaN(val) ? NaN : val === 1;
+		if (column.type === DIMENSION_TYPE.DATE || column.type === DIMENSION_TYPE.DATETIME)
+			return new Date(val);
+		return val;
+	};
+
+	/**
+	 * Build an object with a value for each dimension for the row at the given index in the columns
+	 */
+	var getRow = function(columns, dimensions, index) {
+		var row = {};
+		dimensions.forEach(function(d) {
+			row[d] = getColumnValue(columns[d], index);
+		});
+		return row;
+	};
+
+	/**
+	 * Build an array of row objects from the given columns
+	 */
+	var materializeRows = function(columns, dimensions, rowCount) {
+		var rows = new Array(rowCount);
+		for (var i = 0; i < rowCount; i++)
+			rows[i] = getRow(columns, dimensions, i);
+		return rows;
+	};
+
+	/**
+	 * Reloads the database's CSV file and refreshes the data if changes have been made.
+	 * If changes are found, sends an event through the dataUpdated dispatcher.
+	 * By default, this will only reload the file if its size, ETag or Last-Modified headers have
+	 * changed. Use the reloadAllData parameter to force an update of all data.
+	 * With the incrementalRefresh option, if the file has grown, only the new lines at the end
+	 * of the file are requested (with an HTTP Range request) and added to the data.
+	 * (Compressed data files are always reloaded in full)
+	 */
+	CINEMA_COMPONENTS.Database.prototype.refreshData = function(reloadAllData) {
+		var self = this;
+
+		//Only SpecD databases have a CSV file to reload
+		if (self.spec !== 'D' || self.options.files) {
+			console.warn("Only databases loaded from a data.csv file can be refreshed.");
+			return;
+		}
+
+		if (reloadAllData) {
+			// Check all data in the file
+			reloadData(self);
+		}
+		else {
+			// Only check the file's headers for changes
+			var xhReq = new XMLHttpRequest();
+			xhReq.open("HEAD", self.path, true);//HEAD request returns only Http response header
+			xhReq.onreadystatechange = function() {
+				if (xhReq.readyState === 4) {
 					if (xhReq.status === 200 || 
 						//Safari returns 0 on success (while other browsers use 0 for an error)
 						(navigator.userAgent.match(/Safari/) && xhReq.status === 0)
 					) {
-						//If contentLength is different, request the full file
-						//and update
-						var contentLength = xhReq.getResponseHeader('Content-Length');				
-						if (contentLength != self.prevContentLength) {
-							getAndParseCSV(self.path,
-								function(data_arr, request) { 
-									dataUpdateCallback(self, data_arr, request); 
-								},
-								self.errorCallback);
-						}
+						var contentLength = xhReq.getResponseHeader('Content-Length');
+						var eTag = xhReq.getResponseHeader('ETag');
+						var lastModified = xhReq.getResponseHeader('Last-Modified');
+						var changed = contentLength != self.prevContentLength ||
+							(eTag && self.prevETag && eTag != self.prevETag) ||
+							(lastModified && self.prevLastModified && lastModified != self.prevLastModified);
+						if (!changed)
+							return;
+						//If the file has only grown, request just the new part of it.
+						//Otherwise, request the full file
+						if (self.options.incrementalRefresh && !self.compressed && self.prevContentLength && contentLength &&
+							Number(contentLength) > Number(self.prevContentLength))
+							appendData(self);
+						else
+							reloadData(self);
 					}
 				}
 			}
@@ -262,119 +1450,2136 @@
 		}
 	}
 
+	/**
+	 * Start checking the database's CSV file for changes at a regular interval
+	 * (by calling refreshData()). Any previous interval is stopped.
+	 * @param {number} intervalMs - Milliseconds between checks (defaults to 5000)
+	 * @param {boolean} reloadAllData - Passed to refreshData() on each check
+	 */
+	CINEMA_COMPONENTS.Database.prototype.startWatching = function(intervalMs, reloadAllData) {
+		var self = this;
+		this.stopWatching();
+		this.watchInterval = setInterval(function() {
+			self.refreshData(reloadAllData);
+		}, intervalMs || 5000);
+	}
+
+	/**
+	 * Stop checking the database's CSV file for changes (see startWatching())
+	 */
+	CINEMA_COMPONENTS.Database.prototype.stopWatching = function() {
+		if (this.watchInterval !== undefined) {
+			clearInterval(this.watchInterval);
+			this.watchInterval = undefined;
+		}
+	}
+
+	/**
+	 * Remember the size and version of the CSV file that has been loaded, to compare
+	 * against when refreshing.
+	 * @param {object} self - The database object
+	 * @param {string} contentLength - The number of bytes of the file that have been loaded
+	 * @param {string} eTag - The ETag header of the file (if any)
+	 * @param {string} lastModified - The Last-Modified header of the file (if any)
+	 */
+	var setFileVersion = function(self, contentLength, eTag, lastModified) {
+		self.prevContentLength = contentLength;
+		self.prevETag = eTag;
+		self.prevLastModified = lastModified;
+	}
+
+	/**
+	 * Reload the full CSV file and update the data with it.
+	 * @param {object} self - The database object
+	 */
+	var reloadData = function(self) {
+		getAndParseCSV(self.path,
+			function(data_arr, request, lines, compressed) { 
+				self.compressed = compressed;
+				dataUpdateCallback(self, data_arr, request, lines); 
+			}, 
+			function() {refreshFailed(self);},
+			self.dataFormat);
+	}
+
+	/**
+	 * Request the part of the CSV file after what has already been loaded (with a Range request)
+	 * and add its rows to the data. Reloads the full file instead if the server does not
+	 * return just the requested range.
+	 * The range starts one byte early, at the line break which should end the loaded part of the
+	 * file. If it isn't there, the file was changed rather than added to.
+	 * @param {object} self - The database object
+	 */
+	var appendData = function(self) {
+		var start = Number(self.prevContentLength) - 1;
+		var request = new XMLHttpRequest();
+		request.open("GET", self.path, true);
+		request.responseType = 'arraybuffer';
+		request.setRequestHeader('Range', 'bytes='+start+'-');
+		request.onreadystatechange = function() {
+			if (request.readyState === 4) {
+				//Got the requested range
+				var range = /^bytes (\d+)-/.exec(request.getResponseHeader('Content-Range'));
+				if (request.status === 206 && (!range || Number(range[1]) === start)) {
+					//(Ignore the response if another refresh has already loaded this part of the file)
+					if (Number(self.prevContentLength) - 1 === start)
+						appendDataCallback(self, new Uint8Array(request.response), request);
+				}
+				//The server ignored the range and sent the full file
+				else if (request.status === 200) {
+					var lines = [];
+					var data_arr = parseCSV(new TextDecoder().decode(request.response), lines, 1,
+						self.dataFormat.delimiter, self.dataFormat.comment);
+					dataUpdateCallback(self, data_arr, request, lines);
+				}
+				//The file changed since the size was checked
+				else if (request.status === 416)
+					reloadData(self);
+				else
+					refreshFailed(self);
+			}
+		}
+		request.send(null);
+	}
+
+	/**
+	 * Called if data.csv could not be loaded again when refreshing.
+	 * Calls the database's errorCallback with a report of the failed request.
+	 * @param {object} self - The database object
+	 */
+	var refreshFailed = function(self) {
+		if (self.errorCallback)
+			self.errorCallback(new CINEMA_COMPONENTS.ValidationReport([{
+				severity: 'error',
+				code: 'FILE_NOT_FOUND',
+				message: "Could not load '"+self.path+"' again.",
+				file: self.dataFile
+			}]));
+	}
+
 	/**
 	 * Callback when getAndParseCSV returns a data array to update the data in the database.
 	 * @param {object} self - The database object
 	 * @param {string} data_arr = The data from the file (not yet error checked)
 	 * @param {XMLHttpRequest} request = The request where we can get the response header information
+	 * @param {number[]} lines = The line in the file that each row of data starts on
 	 */
-	var dataUpdateCallback = function(self, data_arr, request) {
+	var dataUpdateCallback = function(self, data_arr, request, lines) {
+		//Remove the types row (if there is one)
+		if (self.dataFormat.typesRow)
+			self.typeOverrides = readTypesRow(data_arr, lines, self.typeOverrides, self.dataFile).types;
+
 		//Ensure that the dimensions have not changed
-		if (data_arr[0].length != self.dimensions.length) {
+		var sourceDimensions = getSourceDimensions(self);
+		if (data_arr[0].length != sourceDimensions.length) {
 			console.warn("Updates to data cannot change the number of dimensions!")
 			return;
 		}
-		for (var i in self.dimensions) {
-			if (self.dimensions[i] != data_arr[0][i]) {
+		for (var i in sourceDimensions) {
+			if (sourceDimensions[i] != data_arr[0][i]) {
 				console.warn("Updates to data cannot change the names of dimensions!")
 				return;
 			}
 		} 
 
 		//If there are errors in the data, don't update
-		var error = checkErrors(data_arr);
-		if (error) {
-			console.warn("Error in updated data!\n"+error);
+		var report = new CINEMA_COMPONENTS.ValidationReport(validateData(data_arr, lines, self.dataFile));
+		if (report.hasErrors()) {
+			console.warn("Error in updated data!\n"+report.toString('error'));
 			return;
 		}
 
-		// Get new content length
-		self.prevContentLength = request.getResponseHeader('Content-Length');	
+		// Get new content length and version
+		setFileVersion(self, request.getResponseHeader('Content-Length'),
+			request.getResponseHeader('ETag'), request.getResponseHeader('Last-Modified'));
+
+		var newModel = buildModel(data_arr, self.filter, self.typeOverrides);
+		addDerivedColumns(newModel, self.derivedDimensions);
+
+		// Determine whether there has been a change in the data
+		var updateInfo = createUpdateInfo(self);
+		var keyDimension = self.options.keyDimension;
+		if (keyDimension && self.columns[keyDimension] && newModel.columns[keyDimension])
+			diffRowsByKey(self, newModel, keyDimension, updateInfo);
+		else
+			diffRowsByPosition(self, newModel, updateInfo);
+
+		// If the data is updated, reset the dimensions and call the dataUpdated dispather.
+		if (updateInfo.added.length || updateInfo.modified.length || updateInfo.removed.length) {
+			applyModel(self, newModel);
+
+			self.dispatch.call("dataUpdated",self, updateInfo);
+		}
+	}
+
+	/**
+	 * Callback when appendData returns the new part of the CSV file, to add its rows
+	 * to the data in the database.
+	 * Only complete lines are used (the rest of the file may not have been written yet).
+	 * If the new rows cannot be stored with the current types of the dimensions, the full file
+	 * is reloaded instead.
+	 * @param {object} self - The database object
+	 * @param {Uint8Array} bytes - The part of the file after what has already been loaded
+	 * (starting with the last byte of what has been loaded)
+	 * @param {XMLHttpRequest} request - The request where we can get the response header information
+	 */
+	var appendDataCallback = function(self, bytes, request) {
+		//The new part should start after the line break at the end of the loaded part
+		if (bytes[0] !== 10) { // '\n'
+			reloadData(self);
+			return;
+		}
+		bytes = bytes.subarray(1);
+		//Find the end of the last complete line
+		var end = bytes.lastIndexOf(10);
+		if (end < 0)
+			return;
+		var text = new TextDecoder().decode(bytes.subarray(0, end+1));
+		var sourceDimensions = getSourceDimensions(self);
+		var data_arr = [sourceDimensions].concat(parseCSV(text, undefined, 1,
+			self.dataFormat.delimiter, self.dataFormat.comment));
+		var loadedLength = Number(self.prevContentLength) + end + 1;
+		var eTag = request.getResponseHeader('ETag');
+		var lastModified = request.getResponseHeader('Last-Modified');
+		if (data_arr.length < 2) {
+			setFileVersion(self, String(loadedLength), eTag, lastModified);
+			return;
+		}
+
+		//If there are errors in the data, don't update
+		var report = new CINEMA_COMPONENTS.ValidationReport(validateData(data_arr, undefined, self.dataFile));
+		if (report.hasErrors()) {
+			console.warn("Error in updated data!\n"+report.toString('error'));
+			return;
+		}
+
+		//The new rows must fit the current type of each dimension
+		//(A FLOAT dimension can take integers and a STRING dimension can take anything.
+		//Otherwise the type would change, so all the data must be reloaded)
+		var rows = data_arr.slice(1);
+		var types = {};
+		for (var c = 0; c < sourceDimensions.length; c++) {
+			var d = sourceDimensions[c];
+			var type = self.dimensionTypes[d];
+			types[d] = type;
+			var defined = rows.some(function(row) {return row[c] !== undefined;});
+			if (!defined || self.typeOverrides[d] !== undefined || type === DIMENSION_TYPE.STRING)
+				continue;
+			var newType = inferDimensionType(rows, c);
+			if (newType !== type && !(type === DIMENSION_TYPE.FLOAT && newType === DIMENSION_TYPE.INTEGER)) {
+				reloadData(self);
+				return;
+			}
+		}
+
+		setFileVersion(self, String(loadedLength), eTag, lastModified);
+		var newRows = buildModel(data_arr, self.filter, types);
+		//Add the new rows removed by the filter to the counts
+		var filteredRowCounts = Object.assign({}, self.filteredRowCounts);
+		for (var d in newRows.filteredRowCounts)
+			filteredRowCounts[d] = (filteredRowCounts[d] || 0) + newRows.filteredRowCounts[d];
+		var filteredRowCount = (self.filteredRowCount || 0) + newRows.filteredRowCount;
+		if (newRows.rowCount === 0) {
+			self.filteredRowCount = filteredRowCount;
+			self.filteredRowCounts = filteredRowCounts;
+			return;
+		}
+		var newModel = appendModel(self, sourceDimensions, newRows);
+		newModel.filteredRowCount = filteredRowCount;
+		newModel.filteredRowCounts = filteredRowCounts;
+		addDerivedColumns(newModel, self.derivedDimensions);
+
+		var updateInfo = createUpdateInfo(self);
+		for (var i = self.rowCount; i < newModel.rowCount; i++)
+			updateInfo.added.push(i);
+		applyModel(self, newModel);
+		self.dispatch.call("dataUpdated", self, updateInfo);
+	}
+
+	/**
+	 * Create a model with the rows of another model added to the end of the database's current
+	 * (non-derived) columns. Both must have the same types.
+	 * @param {object} self - The database object
+	 * @param {string[]} dimensions - The (non-derived) dimensions of the database
+	 * @param {object} model - The model with the rows to add (see buildModel())
+	 */
+	var appendModel = function(self, dimensions, model) {
+		var rowCount = self.rowCount + model.rowCount;
+		var result = {dimensions: dimensions, columns: {}, dimensionTypes: {}, dimensionDomains: {},
+			rowCount: rowCount};
+		dimensions.forEach(function(d) {
+			var oldColumn = self.columns[d];
+			var newColumn = model.columns[d];
+			var type = oldColumn.type;
+			result.dimensionTypes[d] = type;
+			if (oldColumn.codes) {
+				//Merge the dictionaries and re-map the codes of the new rows
+				var dictionary = oldColumn.dictionary.slice();
+				var lookup = {};
+				dictionary.forEach(function(val, i) {lookup[val] = i;});
+				var codes = new Int32Array(rowCount);
+				codes.set(oldColumn.codes);
+				for (var i = 0; i < model.rowCount; i++) {
+					var code = newColumn.codes[i];
+					if (code >= 0) {
+						var val = newColumn.dictionary[code];
+						if (!lookup.hasOwnProperty(val)) {
+							lookup[val] = dictionary.length;
+							dictionary.push(val);
+						}
+						code = lookup[val];
+					}
+					codes[self.rowCount+i] = code;
+				}
+				result.columns[d] = {type: type, codes: codes, dictionary: dictionary};
+				result.dimensionDomains[d] = dictionary.slice();
+			}
+			else {
+				var values = new Float64Array(rowCount);
+				values.set(oldColumn.values);
+				values.set(newColumn.values, self.rowCount);
+				var missing = new Uint8Array(rowCount);
+				missing.set(oldColumn.missing);
+				missing.set(newColumn.missing, self.rowCount);
+				result.columns[d] = {type: type, values: values, missing: missing};
+				var min = Infinity, max = -Infinity;
+				for (var i = 0; i < rowCount; i++) {
+					if (!isNaN(values[i])) {
+						min = Math.min(min,values[i]);
+						max = Math.max(max,values[i]);
+					}
+				}
+				//if all values are NaN, domain is [0,0]
+				if (min > max)
+					min = max = 0;
+				if (type === DIMENSION_TYPE.BOOLEAN)
+					result.dimensionDomains[d] = [false,true];
+				else if (type === DIMENSION_TYPE.DATE || type === DIMENSION_TYPE.DATETIME)
+					result.dimensionDomains[d] = [new Date(min), new Date(max)];
+				else
+					result.dimensionDomains[d] = [min,max];
+			}
+		});
+		return result;
+	}
+
+	/**
+	 * Find the rows that were added, modified or removed in a new model by comparing the rows
+	 * at the same index.
+	 * @param {object} self - The database object (before the change is applied)
+	 * @param {object} newModel - The new model
+	 * @param {object} updateInfo - The object to add the indices of the changed rows to
+	 */
+	var diffRowsByPosition = function(self, newModel, updateInfo) {
+		for (var f = 0; f < self.rowCount || f < newModel.rowCount; f++) {
+			if (f >= self.rowCount)
+				updateInfo.added.push(f);
+			else if (f >= newModel.rowCount) {
+				updateInfo.removed.push(f);
+				updateInfo.newIndices[f] = -1;
+			}
+			else if (!rowsEqual(self.columns, f, newModel.columns, f, newModel.dimensions))
+				updateInfo.modified.push(f);
+		}
+	}
+
+	/**
+	 * Find the rows that were added, modified or removed in a new model by matching rows
+	 * with the same value in a key dimension (so rows that have only moved are not changed).
+	 * Indices of added and modified rows are in the new model. Indices of removed rows are
+	 * in the database's current data.
+	 * @param {object} self - The database object (before the change is applied)
+	 * @param {object} newModel - The new model
+	 * @param {string} keyDimension - The dimension with the key of each row
+	 * @param {object} updateInfo - The object to add the indices of the changed rows to
+	 */
+	var diffRowsByKey = function(self, newModel, keyDimension, updateInfo) {
+		//Indices of the current rows with each key
+		//(if a key is repeated, rows are matched in order)
+		var oldIndices = Object.create(null);
+		var oldKeys = self.columns[keyDimension];
+		for (var i = 0; i < self.rowCount; i++) {
+			var key = String(getStoredValue(oldKeys, i));
+			if (!oldIndices[key])
+				oldIndices[key] = [];
+			oldIndices[key].push(i);
+		}
+
+		var matched = new Uint8Array(self.rowCount);
+		var newKeys = newModel.columns[keyDimension];
+		for (var j = 0; j < newModel.rowCount; j++) {
+			var indices = oldIndices[String(getStoredValue(newKeys, j))];
+			if (indices && indices.length) {
+				var index = indices.shift();
+				matched[index] = 1;
+				updateInfo.newIndices[index] = j;
+				if (!rowsEqual(self.columns, index, newModel.columns, j, newModel.dimensions))
+					updateInfo.modified.push(j);
+			}
+			else
+				updateInfo.added.push(j);
+		}
+		for (var i = 0; i < self.rowCount; i++) {
+			if (!matched[i]) {
+				updateInfo.removed.push(i);
+				updateInfo.newIndices[i] = -1;
+			}
+		}
+	}
+
+	/**
+	 * Create the object describing a change to the data, which is sent with the dataUpdated event.
+	 * Has (empty) lists of the indices of 'added', 'modified' and 'removed' rows and of the
+	 * names of 'addedDimensions', along with the database's current 'oldColumns' and
+	 * 'oldDimensionDomains'. 'oldData' (rows built from oldColumns) is only built if it is used.
+	 * 'newIndices' has the index in the new data of each current row (-1 if it is removed).
+	 * It starts with each row keeping its index.
+	 * @param {object} self - The database object (before the change is applied)
+	 */
+	var createUpdateInfo = function(self) {
+		var newIndices = new Int32Array(self.rowCount);
+		for (var i = 0; i < self.rowCount; i++)
+			newIndices[i] = i;
+		var updateInfo = {
+			added: [], modified: [], removed: [], addedDimensions: [], newIndices: newIndices,
+			oldColumns: self.columns, oldDimensionDomains: self.dimensionDomains
+		};
+		var oldColumns = self.columns, oldDimensions = self.dimensions, oldRowCount = self.rowCount;
+		Object.defineProperty(updateInfo, 'oldData', {
+			enumerable: true,
+			get: function() {return materializeRows(oldColumns, oldDimensions, oldRowCount);}
+		});
+		return updateInfo;
+	}
+
+	/**
+	 * Get the value stored in a column at the given index, rather than the Dates and booleans
+	 * built from it (undefined if the value is missing)
+	 */
+	var getStoredValue = function(column, index) {
+		if (column.codes)
+			return getColumnValue(column, index);
+		return column.missing[index] ? undefined : column.values[index];
+	}
+
+	/**
+	 * Check whether a row in one set of columns has the same values as a row in another
+	 * (NaN values are considered equal to each other)
+	 */
+	var rowsEqual = function(columnsA, indexA, columnsB, indexB, dimensions) {
+		for (var i = 0; i < dimensions.length; i++) {
+			var columnA = columnsA[dimensions[i]];
+			var columnB = columnsB[dimensions[i]];
+			//(Values are compared as stored, so a dimension whose type changed from integer to
+			//float still has equal values)
+			if (!columnA || !columnA.codes !== !columnB.codes)
+				return false;
+			var a = getStoredValue(columnA, indexA);
+			var b = getStoredValue(columnB, indexB);
+			if (a !== b && !(a !== a && b !== b))
+				return false;
+		}
+		return true;
+	}
+
+	/**
+	 * Get data rows (returned as an array of indices) that are similar to the given data.
+	 * Each dimension in the query is compared as a coordinate (see getSimilarityCoordinates()):
+	 * Number (and date) dimensions are normalized (scaled from 0 to 1).
+	 * On string and boolean dimensions, the distance is considered 0 if the values are the same, otherwise 1
+	 * NaN values have 0 distance from each other, but 1 from anything else
+	 * undefined values 0 distance from each other, but 1 from defined values
+	 * The distance between the coordinates is measured with a metric from DISTANCE_METRICS
+	 * (Manhattan distance by default)
+	 * @param {Object} query - An object representing the data to compare against 
+	 * (it does not necessarily have to be a data point already in the database)
+	 * (dimensions in query can be undefined and will not add to distance)
+	 * @param {number} threshold - The value that the difference must be below to be considerd "similiar"
+	 * (If null or undefined, there is no threshold)
+	 * @param {Object} options - Additional options (optional). Fields are:
+	 * metric {string|function}: The name of a metric in DISTANCE_METRICS or a metric function
+	 * weights {Object}: The weight of each dimension (defaults to 1. A weight of 0 ignores the dimension)
+	 * k {number}: If given, return the (up to) k nearest rows as {index, distance} pairs,
+	 *     sorted by distance, instead of an array of indices
+	 * @throws {Error} If the metric is unknown
+	 */
+	CINEMA_COMPONENTS.Database.prototype.getSimilar = function(query, threshold, options) {
+		var self = this;
+		options = options || {};
+		var metric = typeof options.metric === 'function' ? options.metric :
+			CINEMA_COMPONENTS.DISTANCE_METRICS[options.metric || 'manhattan'];
+		if (!metric)
+			throw new Error("Unknown distance metric '"+options.metric+"'.");
+		var weights = options.weights || {};
+
+		var dimensions = this.dimensions.filter(function(d) {
+			return query[d] !== undefined && weights[d] !== 0;
+		});
+		var coordinates = dimensions.map(function(d) {
+			return getSimilarityCoordinates(self, d, query[d]);
+		});
+		var w = new Float64Array(dimensions.length);
+		dimensions.forEach(function(d, i) {
+			w[i] = weights[d] === undefined ? 1 : weights[d];
+		});
+
+		var a = new Float64Array(dimensions.length); //coordinates of the query
+		var b = new Float64Array(dimensions.length); //coordinates of the row
+		var pair = [0,0];
+		var similar = [];
+		for (var index = 0; index < this.rowCount; index++) {
+			for (var i = 0; i < coordinates.length; i++) {
+				coordinates[i](index, pair);
+				a[i] = pair[0];
+				b[i] = pair[1];
+			}
+			var distance = metric(a, b, w);
+			if (threshold === undefined || threshold === null || distance <= threshold)
+				similar.push(options.k !== undefined ? {index: index, distance: distance} : index);
+		}
+
+		if (options.k !== undefined) {
+			similar.sort(function(x, y) {return x.distance - y.distance || x.index - y.index;});
+			return similar.slice(0, options.k);
+		}
+		return similar;
+	}
+
+	/**
+	 * Metrics for measuring the distance between a query and a row in getSimilar().
+	 * Each is a function given the coordinates of the query and of the row on each dimension and
+	 * the weight of each dimension (as three arrays of the same length) which returns the distance.
+	 * More metrics can be added and used by name.
+	 */
+	CINEMA_COMPONENTS.DISTANCE_METRICS = {
+		//The sum of the differences on each dimension
+		manhattan: function(a, b, w) {
+			var sum = 0;
+			for (var i = 0; i < a.length; i++)
+				sum += w[i]*Math.abs(a[i]-b[i]);
+			return sum;
+		},
+		//The straight-line distance
+		euclidean: function(a, b, w) {
+			var sum = 0;
+			for (var i = 0; i < a.length; i++)
+				sum += w[i]*(a[i]-b[i])*(a[i]-b[i]);
+			return Math.sqrt(sum);
+		},
+		//The largest difference on any dimension
+		chebyshev: function(a, b, w) {
+			var max = 0;
+			for (var i = 0; i < a.length; i++)
+				max = Math.max(max, w[i]*Math.abs(a[i]-b[i]));
+			return max;
+		},
+		//One minus the cosine of the angle between the query and the row
+		//(0 if they point in the same direction, 1 if they are perpendicular)
+		cosine: function(a, b, w) {
+			var dot = 0, normA = 0, normB = 0;
+			for (var i = 0; i < a.length; i++) {
+				dot += w[i]*a[i]*b[i];
+				normA += w[i]*a[i]*a[i];
+				normB += w[i]*b[i]*b[i];
+			}
+			if (normA === 0 || normB === 0)
+				return normA === normB ? 0 : 1;
+			return 1 - dot/Math.sqrt(normA*normB);
+		}
+	};
+
+	/**
+	 * Get a function which finds the coordinates of the query and of a row on a dimension,
+	 * to measure the distance between them in getSimilar().
+	 * The function is called with the index of the row and an array to put the query's and the
+	 * row's coordinates in.
+	 * On number (and date) dimensions, the coordinates are the normalized values. Otherwise the
+	 * query's coordinate is 1 and the row's is 1 if they have the same value, or 0 if not.
+	 * @param {object} self - The database object
+	 * @param {string} d - The dimension
+	 * @param {any} value - The query's value on the dimension
+	 */
+	var getSimilarityCoordinates = function(self, d, value) {
+		var column = self.columns[d];
+		//On string dimensions, the distance is considered 0 if the strings are the same, otherwise 1
+		if (self.isStringDimension(d)) {
+			var code = column.dictionary.indexOf(value);
+			return function(index, pair) {
+				pair[0] = 1;
+				pair[1] = (code >= 0 && column.codes[index] === code ? 1 : 0);
+			};
+		}
+		//On boolean dimensions, the distance is 0 if the values are the same, otherwise 1
+		if (self.dimensionTypes[d] === DIMENSION_TYPE.BOOLEAN) {
+			return function(index, pair) {
+				pair[0] = 1;
+				pair[1] = (!column.missing[index] && column.values[index] === Number(value) ? 1 : 0);
+			};
+		}
+		//Compare number (and date) dimensions
+		var extent = self.dimensionDomains[d];
+		var q = getNormalizedValue(value,extent[0],extent[1]);
+		return function(index, pair) {
+			//NaN values have 0 distance from each other, but 1 from anything else
+			if (isNaN(value)) {
+				pair[0] = 1;
+				pair[1] = (isNaN(column.values[index]) ? 1 : 0);
+			}
+			//undefined values have 1 distance from defined values
+			else if (column.missing[index]) {
+				pair[0] = 1;
+				pair[1] = 0;
+			}
+			//calculate normalized distance
+			else {
+				pair[0] = q;
+				pair[1] = getNormalizedValue(column.values[index],extent[0],extent[1]);
+			}
+		};
+	}
+
+	/**
+	 * Get data rows (returned as an array of indices, in order) that meet all the conditions in
+	 * the given predicate. Each key in the predicate is the name of a dimension and each value
+	 * is an object with any of the following conditions:
+	 * - min: The smallest allowed value (inclusive)
+	 * - max: The largest allowed value (inclusive)
+	 * - in: An array of allowed values
+	 * - isNaN: If true, NaN and undefined values are allowed (if there are no other conditions,
+	 *   ONLY NaN and undefined values are allowed). If false (or not given), they are not.
+	 * Instead of an object, a value may be given to only allow that value, or an array of values
+	 * to only allow those values. Dates (or milliseconds since the epoch) can be used for date and
+	 * date/time dimensions and strings are compared in alphabetical order.
+	 * e.g. {temperature: {min: 2, max: 5}, material: {in: ['steel','Al']}, pressure: {isNaN: false}}
+	 * @param {Object} predicate - The conditions for each dimension
+	 * @throws {Error} If the predicate has a dimension that does not exist or an unknown condition
+	 */
+	CINEMA_COMPONENTS.Database.prototype.query = function(predicate) {
+		var self = this;
+		var matches = new Uint8Array(this.rowCount).fill(1);
+		Object.keys(predicate || {}).forEach(function(d) {
+			if (!self.columns[d])
+				throw new Error("Cannot query dimension '"+d+"' because it does not exist.");
+			var test = compileCondition(self.columns[d], predicate[d], d);
+			for (var i = 0; i < self.rowCount; i++) {
+				if (matches[i] && !test(i))
+					matches[i] = 0;
+			}
+		});
+		var result = [];
+		for (var i = 0; i < this.rowCount; i++) {
+			if (matches[i])
+				result.push(i);
+		}
+		return result;
+	}
+
+	/**
+	 * Create a function that tests whether the value in the given row of a column meets
+	 * a condition from a query predicate (see Database.query())
+	 * @param {Object} column - The column to test
+	 * @param {any} condition - The condition for the column
+	 * @param {string} dimension - The name of the column's dimension (for error messages)
+	 */
+	var compileCondition = function(column, condition, dimension) {
+		if (Array.isArray(condition))
+			condition = {in: condition};
+		else if (condition === null || typeof condition !== 'object' || condition instanceof Date)
+			condition = {in: [condition]};
+		Object.keys(condition).forEach(function(key) {
+			if (['min', 'max', 'in', 'isNaN'].indexOf(key) === -1)
+				throw new Error("Unknown condition '"+key+"' for dimension '"+dimension+"'.");
+		});
+
+		//Convert values in the condition to the way they are stored in the column
+		var toStored = function(value) {
+			if (column.codes)
+				return value === undefined ? undefined : String(value);
+			if (typeof value === 'boolean')
+				return value ? 1 : 0;
+			if (value instanceof Date)
+				return value.getTime();
+			if (typeof value === 'string' &&
+				(column.type === DIMENSION_TYPE.DATE || column.type === DIMENSION_TYPE.DATETIME))
+				return Date.parse(value);
+			return Number(value);
+		};
+		var min = condition.min !== undefined ? toStored(condition.min) : undefined;
+		var max = condition.max !== undefined ? toStored(condition.max) : undefined;
+		var allowed;
+		if (condition.in) {
+			allowed = Object.create(null);
+			condition.in.forEach(function(value) {
+				allowed[toStored(value)] = true;
+			});
+		}
+		var onlyNaN = condition.isNaN === true && min === undefined && max === undefined && !allowed;
+
+		return function(i) {
+			var value = column.codes ?
+				(column.codes[i] < 0 ? undefined : column.dictionary[column.codes[i]]) :
+				column.values[i];
+			if (value === undefined || value !== value)
+				return condition.isNaN === true;
+			if (onlyNaN)
+				return false;
+			return (min === undefined || value >= min) &&
+				(max === undefined || value <= max) &&
+				(!allowed || allowed[value] === true);
+		};
+	}
+
+	/**
+	 * Get summary statistics of the values of a number, boolean, date or date/time dimension
+	 * over either all of the rows or only the rows with the given indices.
+	 * (Booleans are counted as 1 or 0 and dates as milliseconds since the epoch)
+	 * Returns an object with the fields:
+	 * count {number}: The number of values used for the statistics (not NaN or undefined)
+	 * nanCount {number}: The number of NaN values
+	 * missingCount {number}: The number of undefined values
+	 * min, max, mean, std {number}: The smallest and largest value, the mean and the (sample)
+	 *     standard deviation (NaN if there are no values or, for std, only one)
+	 * quartiles {number[]}: The first quartile, median and third quartile
+	 * histogram {Object[]}: The bins of a histogram of the values, each with the fields
+	 *     x0 (inclusive), x1 (exclusive, except for the last bin) and count
+	 * The result is cached until the data changes, so it should not be modified.
+	 * @param {string} dimension - The dimension to get statistics for
+	 * @param {number[]} indices - The indices of the rows to include (optional, defaults to all rows)
+	 * @throws {Error} If the dimension does not exist or is a string dimension
+	 */
+	CINEMA_COMPONENTS.Database.prototype.getStatistics = function(dimension, indices) {
+		var column = getNumericColumn(this, dimension);
+		var key = getStatisticsKey(this, 'statistics', [dimension], indices);
+		if (this.statisticsCache[key])
+			return this.statisticsCache[key];
+
+		var count = indices ? indices.length : this.rowCount;
+		var values = new Float64Array(count);
+		var n = 0, nanCount = 0, missingCount = 0;
+		for (var i = 0; i < count; i++) {
+			var index = indices ? indices[i] : i;
+			if (column.missing[index])
+				missingCount++;
+			else if (isNaN(column.values[index]))
+				nanCount++;
+			else
+				values[n++] = column.values[index];
+		}
+		values = values.subarray(0, n).sort();
+
+		var mean = d3.mean(values);
+		var statistics = {
+			count: n,
+			nanCount: nanCount,
+			missingCount: missingCount,
+			min: n > 0 ? values[0] : NaN,
+			max: n > 0 ? values[n-1] : NaN,
+			mean: n > 0 ? mean : NaN,
+			std: n > 1 ? d3.deviation(values) : NaN,
+			quartiles: [0.25, 0.5, 0.75].map(function(p) {
+				return n > 0 ? d3.quantile(values, p) : NaN;
+			}),
+			histogram: n > 0 ? d3.histogram()(values).map(function(bin) {
+				return {x0: bin.x0, x1: bin.x1, count: bin.length};
+			}) : []
+		};
+		return (this.statisticsCache[key] = statistics);
+	};
+
+	/**
+	 * Get the (Pearson) correlation coefficient between each pair of the given dimensions,
+	 * over either all of the rows or only the rows with the given indices.
+	 * Returns a matrix (an array of arrays) where matrix[i][j] is the correlation between
+	 * dimensions[i] and dimensions[j]. Each pair only uses the rows where both values are defined
+	 * and not NaN. The correlation is NaN if there are fewer than two of those rows or the values
+	 * of either dimension do not vary.
+	 * The result is cached until the data changes, so it should not be modified.
+	 * @param {string[]} dimensions - The dimensions to correlate (optional, defaults to all
+	 *     dimensions that are not string dimensions)
+	 * @param {number[]} indices - The indices of the rows to include (optional, defaults to all rows)
+	 * @throws {Error} If any dimension does not exist or is a string dimension
+	 */
+	CINEMA_COMPONENTS.Database.prototype.getCorrelationMatrix = function(dimensions, indices) {
+		var self = this;
+		if (!dimensions) {
+			dimensions = this.dimensions.filter(function(d) {
+				return !self.isStringDimension(d);
+			});
+		}
+		var columns = dimensions.map(function(d) {
+			return getNumericColumn(self, d);
+		});
+		var key = getStatisticsKey(this, 'correlation', dimensions, indices);
+		if (this.statisticsCache[key])
+			return this.statisticsCache[key];
+
+		var count = indices ? indices.length : this.rowCount;
+		var matrix = dimensions.map(function() {return new Array(dimensions.length);});
+		for (var i = 0; i < columns.length; i++) {
+			for (var j = i; j < columns.length; j++) {
+				var a = columns[i], b = columns[j];
+				//Sums for the correlation, over the rows where both values are usable
+				var n = 0, sumA = 0, sumB = 0, sumAA = 0, sumBB = 0, sumAB = 0;
+				for (var k = 0; k < count; k++) {
+					var index = indices ? indices[k] : k;
+					var x = a.values[index], y = b.values[index];
+					if (a.missing[index] || b.missing[index] || isNaN(x) || isNaN(y))
+						continue;
+					n++;
+					sumA += x; sumB += y;
+					sumAA += x*x; sumBB += y*y; sumAB += x*y;
+				}
+				var covariance = n*sumAB - sumA*sumB;
+				var varianceA = n*sumAA - sumA*sumA;
+				var varianceB = n*sumBB - sumB*sumB;
+				var r = (n < 2 || varianceA <= 0 || varianceB <= 0) ? NaN :
+					Math.max(-1, Math.min(1, covariance/Math.sqrt(varianceA*varianceB)));
+				matrix[i][j] = matrix[j][i] = r;
+			}
+		}
+		return (this.statisticsCache[key] = matrix);
+	};
+
+	/**
+	 * Get a stratified sample of (at most) the given number of rows, for drawing a
+	 * representative subset of a large database.
+	 * The rows are split into strata and each stratum contributes a share of the sample in
+	 * proportion to its size (at least one row, if there is room), taken at evenly spaced
+	 * positions within the stratum. Rows are stratified by the values of options.strata if given
+	 * (each category of a string or boolean dimension, or each of options.bins equal-width ranges
+	 * of any other dimension, with undefined and NaN values in a stratum of their own),
+	 * otherwise by their position in the data. The sample is the same every time it is taken
+	 * from the same rows.
+	 * Returns the indices of the sampled rows (in ascending order), or all of the rows if there
+	 * are no more than the given number of them.
+	 * The result is cached until the data changes (unless options.cache is false), so it should
+	 * not be modified.
+	 * @param {number} count - The most rows to sample
+	 * @param {Object} options - Options for the sample (optional):
+	 *     indices {number[]}: The indices of the rows to sample from (defaults to all rows)
+	 *     strata {string}: The dimension to stratify the rows by
+	 *     bins {number}: The number of ranges to split a numeric strata dimension into (defaults to 10)
+	 *     cache {boolean}: Whether to cache the result (defaults to true). Samples that are only
+	 *         taken once (such as of the points in view during each frame of a zoom) need not be
+	 * @throws {Error} If the strata dimension does not exist
+	 */
+	CINEMA_COMPONENTS.Database.prototype.getSample = function(count, options) {
+		options = options || {};
+		var indices = options.indices;
+		var total = indices ? indices.length : this.rowCount;
+		count = Math.max(0, Math.floor(count));
+		if (total <= count)
+			return indices ? Array.prototype.slice.call(indices) : d3.range(total);
+		if (options.strata !== undefined && !this.columns[options.strata])
+			throw new Error("Dimension '"+options.strata+"' does not exist.");
+		var key = options.cache === false ? null :
+			getStatisticsKey(this, 'sample', [options.strata, options.bins, count], indices);
+		if (key && this.statisticsCache[key])
+			return this.statisticsCache[key];
+
+		//Split the positions of the rows (in indices) into strata
+		var strata;
+		if (options.strata !== undefined) {
+			var getBin = getBinFunction(this, options.strata, null, options.bins || 10);
+			var binCount = getBin.count;
+			strata = [];
+			for (var b = 0; b <= binCount; b++)
+				strata.push([]);
+			for (var i = 0; i < total; i++) {
+				var bin = getBin(indices ? indices[i] : i);
+				//Rows without a bin go in the last stratum
+				strata[bin < 0 ? binCount : bin].push(i);
+			}
+			strata = strata.filter(function(stratum) {return stratum.length > 0;});
+		}
+		else {
+			//Without a strata dimension, rows are split into even runs of consecutive rows
+			var runs = Math.min(count, 100);
+			strata = d3.range(runs).map(function(r) {
+				return d3.range(Math.floor(r*total/runs), Math.floor((r+1)*total/runs));
+			});
+		}
+
+		//Give each stratum its share of the sample (by largest remainder), with at least one
+		//row for each stratum when there are enough rows in the sample to go around
+		var minimum = strata.length <= count ? 1 : 0;
+		var shares = strata.map(function(stratum) {
+			var exact = stratum.length*count/total;
+			return {stratum: stratum, size: Math.max(minimum, Math.floor(exact)), remainder: exact % 1};
+		});
+		var assigned = d3.sum(shares, function(s) {return s.size;});
+		shares.slice().sort(function(a, b) {return b.remainder - a.remainder;}).forEach(function(s) {
+			if (assigned < count && s.size < s.stratum.length) {
+				s.size++;
+				assigned++;
+			}
+		});
+
+		var sample = [];
+		shares.forEach(function(s) {
+			for (var j = 0; j < s.size; j++) {
+				var position = s.stratum[Math.floor((j+0.5)*s.stratum.length/s.size)];
+				sample.push(indices ? indices[position] : position);
+			}
+		});
+		sample.sort(function(a, b) {return a - b;});
+		if (key)
+			this.statisticsCache[key] = sample;
+		return sample;
+	};
+
+	/**
+	 * Aggregate rows into bins over one or two dimensions, for drawing the density of a large
+	 * database rather than each of its rows (e.g. with a bin for every few pixels of a chart).
+	 * Numeric, date and date/time dimensions are split into the given number of equal-width bins
+	 * over their extent (the first bin starts at extent[0] and the last ends at extent[1]).
+	 * String and boolean dimensions have a bin for each category in their domain (in its order)
+	 * and their bin count is ignored.
+	 * Returns an object with the fields:
+	 * dimensions {string[]}: The dimensions that were binned
+	 * binCounts {number[]}: The number of bins along each dimension
+	 * extents {Array[]}: The extent of each numeric dimension (as numbers, with dates as
+	 *     milliseconds since the epoch), or null for categorical dimensions
+	 * categories {Array[]}: The category of each bin of each categorical dimension,
+	 *     or null for numeric dimensions
+	 * counts {Uint32Array}: The number of rows in each bin. The bin of the i-th bin along the
+	 *     first dimension and the j-th bin along the second is at counts[i + j*binCounts[0]]
+	 * means {Object}: For each dimension in options.values, a Float64Array with the mean value
+	 *     of that dimension in each bin (over the rows where it is defined and not NaN,
+	 *     NaN for bins without any)
+	 * excludedCount {number}: The number of rows that are not in any bin (because of
+	 *     an undefined or NaN value or a value outside the extent)
+	 * The result is cached until the data changes (unless options.cache is false), so it should
+	 * not be modified.
+	 * @param {string[]} dimensions - The one or two dimensions to bin over
+	 * @param {number[]} binCounts - The number of bins along each dimension
+	 * @param {Object} options - Options for the aggregate (optional):
+	 *     indices {number[]}: The indices of the rows to include (defaults to all rows)
+	 *     extents {Array[]}: The extent to bin each numeric dimension over (defaults to its
+	 *         domain, a null extent also means the domain)
+	 *     values {string[]}: Dimensions (not string dimensions) to average in each bin
+	 *     cache {boolean}: Whether to cache the result (defaults to true). Aggregates that are
+	 *         only needed once (such as over the extents in view during each frame of a zoom) need not be
+	 * @throws {Error} If there are not one or two dimensions, any dimension does not exist
+	 *     or a dimension in options.values is a string dimension
+	 */
+	CINEMA_COMPONENTS.Database.prototype.getBinnedAggregate = function(dimensions, binCounts, options) {
+		var self = this;
+		options = options || {};
+		if (!dimensions || dimensions.length < 1 || dimensions.length > 2)
+			throw new Error("A binned aggregate needs one or two dimensions.");
+		var extents = options.extents || [];
+		var getBins = dimensions.map(function(d, k) {
+			if (!self.columns[d])
+				throw new Error("Dimension '"+d+"' does not exist.");
+			return getBinFunction(self, d, extents[k], (binCounts && binCounts[k]) || 10);
+		});
+		var values = options.values || [];
+		var valueColumns = values.map(function(d) {
+			return getNumericColumn(self, d);
+		});
+		var indices = options.indices;
+		var key = options.cache === false ? null :
+			getStatisticsKey(this, 'binned', [dimensions, getBins.map(function(getBin) {
+				return [getBin.count, getBin.extent];
+			}), values], indices);
+		if (key && this.statisticsCache[key])
+			return this.statisticsCache[key];
+
+		var countX = getBins[0].count;
+		var countY = getBins[1] ? getBins[1].count : 1;
+		var counts = new Uint32Array(countX*countY);
+		var sums = valueColumns.map(function() {return new Float64Array(countX*countY);});
+		var valueCounts = valueColumns.map(function() {return new Uint32Array(countX*countY);});
+		var excludedCount = 0;
+		var total = indices ? indices.length : this.rowCount;
+		for (var i = 0; i < total; i++) {
+			var index = indices ? indices[i] : i;
+			var x = getBins[0](index);
+			var y = getBins[1] ? getBins[1](index) : 0;
+			if (x < 0 || y < 0) {
+				excludedCount++;
+				continue;
+			}
+			var bin = x + y*countX;
+			counts[bin]++;
+			for (var v = 0; v < valueColumns.length; v++) {
+				var value = valueColumns[v].values[index];
+				if (!valueColumns[v].missing[index] && !isNaN(value)) {
+					sums[v][bin] += value;
+					valueCounts[v][bin]++;
+				}
+			}
+		}
+
+		var means = {};
+		values.forEach(function(d, v) {
+			means[d] = sums[v].map(function(sum, bin) {
+				return valueCounts[v][bin] > 0 ? sum/valueCounts[v][bin] : NaN;
+			});
+		});
+		var aggregate = {
+			dimensions: dimensions.slice(),
+			binCounts: getBins.map(function(getBin) {return getBin.count;}),
+			extents: getBins.map(function(getBin) {return getBin.extent;}),
+			categories: getBins.map(function(getBin) {return getBin.categories;}),
+			counts: counts,
+			means: means,
+			excludedCount: excludedCount
+		};
+		if (key)
+			this.statisticsCache[key] = aggregate;
+		return aggregate;
+	};
+
+	/**
+	 * Get a function that gives the bin of the row with a given index along the given dimension
+	 * (or -1 if the row is not in any bin). The function also has the fields 'count' (the number
+	 * of bins), 'extent' (for numeric dimensions, otherwise null) and 'categories' (for
+	 * categorical dimensions, otherwise null).
+	 * @param {object} self - The database object
+	 * @param {string} dimension - The dimension to bin along
+	 * @param {Array} extent - The extent of numeric bins (null for the dimension's domain)
+	 * @param {number} count - The number of numeric bins
+	 */
+	var getBinFunction = function(self, dimension, extent, count) {
+		var column = self.columns[dimension];
+		var getBin;
+		if (column.codes) {
+			var categories = self.dimensionDomains[dimension];
+			var binOfCode = column.dictionary.map(function(value) {
+				return categories.indexOf(value);
+			});
+			getBin = function(index) {
+				var code = column.codes[index];
+				return code < 0 ? -1 : binOfCode[code];
+			};
+			getBin.count = categories.length;
+			getBin.extent = null;
+			getBin.categories = categories.slice();
+		}
+		else if (self.dimensionTypes[dimension] === DIMENSION_TYPE.BOOLEAN) {
+			getBin = function(index) {
+				return column.missing[index] ? -1 : column.values[index];
+			};
+			getBin.count = 2;
+			getBin.extent = null;
+			getBin.categories = [false, true];
+		}
+		else {
+			extent = (extent || self.dimensionDomains[dimension]).map(Number);
+			count = Math.max(1, Math.floor(count));
+			var min = extent[0], width = extent[1] - extent[0];
+			getBin = function(index) {
+				var value = column.values[index];
+				if (column.missing[index] || !(value >= min && value <= min + width))
+					return -1;
+				return width > 0 ? Math.min(count - 1, Math.floor((value - min)/width*count)) : 0;
+			};
+			getBin.count = count;
+			getBin.extent = extent;
+			getBin.categories = null;
+		}
+		return getBin;
+	};
+
+	/**
+	 * Get the column for the given dimension, to compute statistics with
+	 * @param {object} self - The database object
+	 * @param {string} dimension - The dimension
+	 * @throws {Error} If the dimension does not exist or is a string dimension
+	 */
+	var getNumericColumn = function(self, dimension) {
+		var column = self.columns[dimension];
+		if (!column)
+			throw new Error("Dimension '"+dimension+"' does not exist.");
+		if (column.codes)
+			throw new Error("Cannot compute statistics for string dimension '"+dimension+"'.");
+		return column;
+	};
+
+	/**
+	 * Get the key to cache statistics under.
+	 * Only a limited number of results are kept, so the cache is emptied when it is full.
+	 * @param {object} self - The database object
+	 * @param {string} kind - What the statistics are (e.g. 'statistics' or 'correlation')
+	 * @param {string[]} dimensions - The dimensions the statistics are for
+	 * @param {number[]} indices - The indices of the rows the statistics are for (if not all rows)
+	 */
+	var getStatisticsKey = function(self, kind, dimensions, indices) {
+		if (Object.keys(self.statisticsCache).length >= MAX_CACHED_STATISTICS)
+			self.statisticsCache = {};
+		return JSON.stringify([kind, dimensions, indices ? hashIndices(indices) : null]);
+	};
+
+	/**
+	 * Get a short string identifying a list of indices, for cache keys
+	 * (the number of indices and two 32-bit hashes of them, so that keys stay small
+	 * even for large selections)
+	 * @param {number[]} indices - The indices
+	 */
+	var hashIndices = function(indices) {
+		var fnv = 0x811c9dc5;
+		var poly = 0;
+		for (var i = 0; i < indices.length; i++) {
+			fnv = Math.imul(fnv ^ indices[i], 0x01000193);
+			poly = (Math.imul(poly, 31) + indices[i]) | 0;
+		}
+		return indices.length + ':' + (fnv >>> 0).toString(36) + ':' + (poly >>> 0).toString(36);
+	};
+
+	/** @type {number} The most results that are kept in a database's statisticsCache */
+	var MAX_CACHED_STATISTICS = 100;
+
+	/**
+	 * Export the rows with the given indices (e.g. a selection) in the given format:
+	 * 'csv': Returns the text of a CSV file with the rows (like data.csv)
+	 * 'json': Returns the text of a JSON array with an object for each row (dates are written
+	 *     as ISO strings and NaN values as null)
+	 * 'cdb': Returns a list of the files for a new database with only the rows, to be zipped or
+	 *     saved as a '.cdb' directory. Each file is an object with a 'path' (relative to the new
+	 *     directory) and either the 'content' of the file (for data.csv and, if there is anything
+	 *     to put in them, dimensions.json, annotations.csv and axis_order.csv) or the 'url' to get it from (for
+	 *     the files in FILE dimensions, which keep the same relative paths).
+	 *     Files at absolute paths or URLs are left out (the rows still refer to them).
+	 * Derived dimensions are exported as regular dimensions.
+	 * Types are inferred again when the exported data is loaded (so, for example, a dimension made a
+	 * string with the dimensionTypes option becomes numeric again), unless the typesRow option is given.
+	 * @param {number[]} indices - The indices of the rows to export (optional, defaults to all rows)
+	 * @param {string} format - The format to export in ('csv', 'json' or 'cdb')
+	 * @param {Object} options - Additional options (optional). Fields are:
+	 * typesRow {boolean}: For 'csv' and 'cdb', write the type of each dimension in the second row
+	 *     of the data (see the Database constructor's typesRow option, which must be given when
+	 *     loading it)
+	 * @throws {Error} If the format is unknown
+	 */
+	CINEMA_COMPONENTS.Database.prototype.export = function(indices, format, options) {
+		var self = this;
+		if (!indices) {
+			indices = [];
+			for (var i = 0; i < this.rowCount; i++)
+				indices.push(i);
+		}
+
+		if (format === 'json')
+			return JSON.stringify(indices.map(function(i) {return self.getRow(i);}));
+
+		var data_arr = [this.dimensions.slice()].concat(indices.map(function(i) {
+			return self.dimensions.map(function(d) {return toCSVString(self.getValue(i, d), self.dimensionTypes[d]);});
+		}));
+		if (options && options.typesRow) {
+			data_arr.splice(1, 0, this.dimensions.map(function(d) {
+				return Object.keys(DIMENSION_TYPE).filter(function(name) {
+					return DIMENSION_TYPE[name] === self.dimensionTypes[d];
+				})[0].toLowerCase();
+			}));
+		}
+		if (format === 'csv')
+			return toCSVText(data_arr);
+
+		if (format === 'cdb') {
+			var files = [{path: 'data.csv', content: toCSVText(data_arr)}];
+			if (Object.keys(this.dimensionMetadata).length > 0)
+				files.push({path: 'dimensions.json', content: JSON.stringify(this.dimensionMetadata, null, '\t')});
+			var annotations = getAnnotationData(this, indices);
+			if (annotations.length > 1)
+				files.push({path: 'annotations.csv', content: toCSVText(annotations)});
+			if (this.hasAxisOrdering)
+				files.push({path: 'axis_order.csv', content: this.exportAxisOrder()});
+			//The files referenced in FILE dimensions (each only once)
+			var added = {};
+			this.dimensions.filter(function(d) {return /^FILE/.test(d);}).forEach(function(d) {
+				indices.forEach(function(i) {
+					var file = self.getValue(i, d);
+					if (file === undefined || /^([a-z][a-z0-9+.-]*:|\/)/i.test(file))
+						return;
+					var path = file.replace(/^\.\//, '');
+					if (!added[path]) {
+						added[path] = true;
+						files.push({path: path, url: self.getFilePath(i, d)});
+					}
+				});
+			});
+			return files;
+		}
+
+		throw new Error("Unknown export format '"+format+"'. Use 'csv', 'json' or 'cdb'.");
+	};
+
+	/**
+	 * Add a tag to the rows with the given indices (if they do not already have it).
+	 * Triggers the annotationsChanged event.
+	 * @param {number|number[]} indices - The index (or indices) of the rows to tag
+	 * @param {string} tag - The tag (e.g. 'diverged')
+	 */
+	CINEMA_COMPONENTS.Database.prototype.addTag = function(indices, tag) {
+		var self = this;
+		indices = [].concat(indices);
+		indices.forEach(function(i) {
+			addTagToAnnotation(self, getAnnotation(self, i, true), tag);
+		});
+		this.dispatch.call('annotationsChanged', this, {indices: indices});
+	};
+
+	/**
+	 * Remove a tag from the rows with the given indices.
+	 * Triggers the annotationsChanged event.
+	 * @param {number|number[]} indices - The index (or indices) of the rows to remove the tag from
+	 * @param {string} tag - The tag
+	 */
+	CINEMA_COMPONENTS.Database.prototype.removeTag = function(indices, tag) {
+		var self = this;
+		indices = [].concat(indices);
+		indices.forEach(function(i) {
+			var annotation = getAnnotation(self, i, false);
+			if (annotation && annotation.tags.indexOf(tag) !== -1) {
+				annotation.tags.splice(annotation.tags.indexOf(tag), 1);
+				removeEmptyAnnotation(self, i);
+			}
+		});
+		this.dispatch.call('annotationsChanged', this, {indices: indices});
+	};
+
+	/**
+	 * Get the tags of the row with the given index (an empty array if it has none)
+	 * @param {number} index - The index of the row
+	 */
+	CINEMA_COMPONENTS.Database.prototype.getTags = function(index) {
+		var annotation = getAnnotation(this, index, false);
+		return annotation ? annotation.tags.slice() : [];
+	};
+
+	/**
+	 * Set the note on the row with the given index.
+	 * Triggers the annotationsChanged event.
+	 * @param {number} index - The index of the row
+	 * @param {string} note - The note (an empty string or undefined removes the note)
+	 */
+	CINEMA_COMPONENTS.Database.prototype.setNote = function(index, note) {
+		getAnnotation(this, index, true).note = note || '';
+		removeEmptyAnnotation(this, index);
+		this.dispatch.call('annotationsChanged', this, {indices: [index]});
+	};
+
+	/**
+	 * Get the note on the row with the given index (an empty string if it has none)
+	 * @param {number} index - The index of the row
+	 */
+	CINEMA_COMPONENTS.Database.prototype.getNote = function(index) {
+		var annotation = getAnnotation(this, index, false);
+		return annotation ? annotation.note : '';
+	};
+
+	/**
+	 * Get the indices of the rows with the given tag (in order)
+	 * @param {string} tag - The tag
+	 */
+	CINEMA_COMPONENTS.Database.prototype.getTaggedRows = function(tag) {
+		var self = this;
+		return Object.keys(this.annotations).map(Number).filter(function(i) {
+			return self.annotations[i].tags.indexOf(tag) !== -1;
+		}).sort(function(a, b) {return a - b;});
+	};
+
+	/**
+	 * Get every tag used on any row (in the order they were first used on the rows)
+	 */
+	CINEMA_COMPONENTS.Database.prototype.getAllTags = function() {
+		var self = this;
+		var tags = [];
+		Object.keys(this.annotations).map(Number).sort(function(a, b) {return a - b;}).forEach(function(i) {
+			self.annotations[i].tags.forEach(function(tag) {
+				if (tags.indexOf(tag) === -1)
+					tags.push(tag);
+			});
+		});
+		return tags;
+	};
+
+	/**
+	 * Get the annotations as the text of an annotations.csv file (to be saved next to data.csv).
+	 * The file has a row for each annotated row of data with the columns:
+	 * - The key of the row: its value on the keyDimension (see the constructor's options) if
+	 *   there is one, otherwise its index (in a column named 'index')
+	 * - 'tags': The row's tags, separated by semicolons
+	 * - 'note': The row's note
+	 * @param {number[]} indices - The rows to include (optional, defaults to all rows). Rows are
+	 * numbered by their position in this array (to go with a subset exported with export())
+	 */
+	CINEMA_COMPONENTS.Database.prototype.exportAnnotations = function(indices) {
+		return toCSVText(getAnnotationData(this, indices));
+	};
+
+	/**
+	 * Add annotations from the text of an annotations.csv file (see exportAnnotations()).
+	 * The first column may be either 'index' or any dimension, to match rows by their value on it.
+	 * Tags are added to the rows' current tags and notes replace their current notes.
+	 * Triggers the annotationsChanged event (with the rows that have annotations and, when
+	 * replacing, the rows whose annotations were removed).
+	 * Returns a ValidationReport of any rows that could not be matched or other problems in the file.
+	 * (annotations.csv is also loaded with the database if it exists)
+	 * @param {string} text - The text of the annotations.csv file
+	 * @param {boolean} replace - Whether to remove all current annotations first
+	 */
+	CINEMA_COMPONENTS.Database.prototype.importAnnotations = function(text, replace) {
+		var cleared = [];
+		if (replace) {
+			cleared = Object.keys(this.annotations);
+			this.annotations = {};
+		}
+		var lines = [];
+		var report = new CINEMA_COMPONENTS.ValidationReport(addAnnotationData(this, parseCSV(text, lines), lines));
+		var indices = d3.set(cleared.concat(Object.keys(this.annotations))).values().map(Number)
+			.sort(function(a, b) {return a - b;});
+		this.dispatch.call('annotationsChanged', this, {indices: indices});
+		return report;
+	};
+
+	/**
+	 * Add an axis ordering to the axisOrderData (replacing the ordering with the same
+	 * category and name if there is one).
+	 * Dimensions not in the database are left out of the order.
+	 * Triggers the axisOrderChanged event.
+	 * @param {string} category - The category of the ordering (e.g. 'Rotations')
+	 * @param {string} name - The name (value) of the ordering within its category (e.g. 'Phi First')
+	 * @param {string[]} order - The dimensions in order (not every dimension needs to be listed)
+	 * @throws {Error} If the category or name is empty
+	 */
+	CINEMA_COMPONENTS.Database.prototype.addAxisOrder = function(category, name, order) {
+		var self = this;
+		if (!category || !name)
+			throw new Error("An axis ordering needs a category and a name.");
+		var ordering = {name: name, order: order.filter(function(d, i) {
+			return self.dimensions.includes(d) && order.indexOf(d) === i;
+		})};
+		if (!this.axisOrderData)
+			this.axisOrderData = {};
+		if (!this.axisOrderData[category])
+			this.axisOrderData[category] = [];
+		var orderings = this.axisOrderData[category];
+		var existing = orderings.findIndex(function(o) {return o.name === name;});
+		if (existing === -1)
+			orderings.push(ordering);
+		else
+			orderings[existing] = ordering;
+		this.hasAxisOrdering = true;
+		this.dispatch.call('axisOrderChanged', this, this.axisOrderData);
+	};
+
+	/**
+	 * Remove an axis ordering from the axisOrderData (and its category, if it was the last one in it).
+	 * Triggers the axisOrderChanged event.
+	 * @param {string} category - The category of the ordering
+	 * @param {string} name - The name (value) of the ordering within its category
+	 */
+	CINEMA_COMPONENTS.Database.prototype.removeAxisOrder = function(category, name) {
+		if (!this.axisOrderData || !this.axisOrderData[category])
+			return;
+		this.axisOrderData[category] = this.axisOrderData[category].filter(function(o) {
+			return o.name !== name;
+		});
+		if (this.axisOrderData[category].length == 0)
+			delete this.axisOrderData[category];
+		this.hasAxisOrdering = Object.keys(this.axisOrderData).length > 0;
+		this.dispatch.call('axisOrderChanged', this, this.axisOrderData);
+	};
+
+	/**
+	 * Get the axisOrderData as the text of an axis_order.csv file (to be saved next to data.csv).
+	 * The file has the columns 'category' and 'value' followed by a column for each dimension
+	 * in any of the orderings, and a row for each ordering with each dimension's position in it
+	 * (starting at 1, empty for dimensions the ordering does not include).
+	 */
+	CINEMA_COMPONENTS.Database.prototype.exportAxisOrder = function() {
+		var self = this;
+		var orderings = [];
+		Object.keys(this.axisOrderData || {}).forEach(function(category) {
+			self.axisOrderData[category].forEach(function(o) {
+				orderings.push({category: category, ordering: o});
+			});
+		});
+		//Dimensions in any ordering (in the order of the database's dimensions)
+		var dimensions = this.dimensions.filter(function(d) {
+			return orderings.some(function(o) {return o.ordering.order.includes(d);});
+		});
+		var data_arr = [['category', 'value'].concat(dimensions)].concat(orderings.map(function(o) {
+			return [o.category, o.ordering.name].concat(dimensions.map(function(d) {
+				var position = o.ordering.order.indexOf(d);
+				return position === -1 ? undefined : String(position + 1);
+			}));
+		}));
+		return toCSVText(data_arr);
+	};
+
+	/**
+	 * Set up the annotations of a database.
+	 * They are moved to the new indices of their rows whenever the data is updated
+	 * (and dropped if their rows are removed).
+	 * @param {object} self - The database object
+	 */
+	var initAnnotations = function(self) {
+		/** @type {Object} - Tags and notes on rows, keyed by row index (see addTag() and setNote()).
+		 * Each is an object with 'tags' (an array of strings) and a 'note' (a string) */
+		self.annotations = {};
+		/** @type {string[]} - Every tag that has been added to a row, in the order they were first added.
+		 * Tags keep their place even when no row has them anymore (so that colors chosen by it stay the same) */
+		self.tagOrder = [];
+		self.dispatch.on('dataUpdated.annotations', function(updateInfo) {
+			var annotations = {};
+			for (var i in self.annotations) {
+				var index = i < updateInfo.newIndices.length ? updateInfo.newIndices[i] : -1;
+				if (index >= 0)
+					annotations[index] = self.annotations[i];
+			}
+			self.annotations = annotations;
+		});
+	};
+
+	/**
+	 * Get the annotation of the row with the given index.
+	 * @param {object} self - The database object
+	 * @param {number} index - The index of the row
+	 * @param {boolean} create - Whether to create an empty annotation if the row has none
+	 * (otherwise returns undefined)
+	 * @throws {Error} If there is no row with the index
+	 */
+	var getAnnotation = function(self, index, create) {
+		if (!(index >= 0 && index < self.rowCount))
+			throw new Error("There is no row with index '"+index+"'.");
+		if (!self.annotations[index] && create)
+			self.annotations[index] = {tags: [], note: ''};
+		return self.annotations[index];
+	};
+
+	/**
+	 * Add a tag to an annotation (if it does not already have it),
+	 * adding it to the end of the database's tagOrder if it is a new tag
+	 * @param {object} self - The database object
+	 * @param {Object} annotation - The annotation (from getAnnotation())
+	 * @param {string} tag - The tag
+	 */
+	var addTagToAnnotation = function(self, annotation, tag) {
+		if (annotation.tags.indexOf(tag) === -1)
+			annotation.tags.push(tag);
+		if (self.tagOrder.indexOf(tag) === -1)
+			self.tagOrder.push(tag);
+	};
+
+	/**
+	 * Remove the annotation of the row with the given index if it has no tags or note
+	 */
+	var removeEmptyAnnotation = function(self, index) {
+		var annotation = self.annotations[index];
+		if (annotation && annotation.tags.length === 0 && !annotation.note)
+			delete self.annotations[index];
+	};
+
+	/**
+	 * Get the data for an annotations.csv file (see exportAnnotations()) as a 2 dimensional array
+	 * (the first row is the header).
+	 * @param {object} self - The database object
+	 * @param {number[]} indices - The rows to include (optional, defaults to all rows). Rows are
+	 * numbered by their position in this array
+	 */
+	var getAnnotationData = function(self, indices) {
+		var keyDimension = getAnnotationKeyDimension(self);
+		var data_arr = [[keyDimension || 'index', 'tags', 'note']];
+		var rows = indices || Object.keys(self.annotations).map(Number).sort(function(a, b) {return a - b;});
+		rows.forEach(function(i, n) {
+			var annotation = self.annotations[i];
+			if (!annotation)
+				return;
+			data_arr.push([
+				keyDimension ? toCSVString(self.getValue(i, keyDimension)) : String(indices ? n : i),
+				annotation.tags.join(';'),
+				annotation.note || undefined
+			]);
+		});
+		return data_arr;
+	};
+
+	/**
+	 * Check the data of an annotations.csv file against the data of a database, without loading it
+	 * (see validateDatabaseFiles()). Reports the same problems as addAnnotationData(), matching rows
+	 * on the text of their values.
+	 * Returns an array of the issues (warnings) found.
+	 * @param {string[][]} data_arr - The data parsed from annotations.csv
+	 * @param {number[]} lines - The line in annotations.csv that each row starts on
+	 * @param {string[][]} data - The data parsed from the database's data file (including its header)
+	 */
+	var validateAnnotationData = function(data_arr, lines, data) {
+		var issues = [];
+		var issue = function(code, message, row) {
+			issues.push({severity: 'warning', code: code, message: message, file: 'annotations.csv',
+				line: row !== undefined ? lines[row] : undefined});
+		};
+		if (data_arr.length < 1) {
+			issue('FILE_TOO_SHORT', "The file has no header line.");
+			return issues;
+		}
+		var key = data_arr[0][0];
+		var column = data[0].indexOf(key);
+		if (key !== 'index' && column === -1) {
+			issue('UNKNOWN_DIMENSION', "The first column must be 'index' or a dimension in the database, not '"+key+"'.", 0);
+			return issues;
+		}
+		var rowCount = data.length-1;
+		var keys = Object.create(null);
+		for (var i = 1; i < data.length; i++)
+			keys[data[i][column] === undefined ? '' : data[i][column]] = true;
+		for (var r = 1; r < data_arr.length; r++) {
+			var value = data_arr[r][0];
+			var found = key === 'index' ? /^\d+$/.test(value) && Number(value) < rowCount : keys[value === undefined ? '' : value];
+			if (!found)
+				issue('UNKNOWN_ROW', "No row has the "+key+" '"+value+"'.", r);
+		}
+		return issues;
+	};
+
+	/**
+	 * Get the dimension that rows are identified by in annotations.csv
+	 * (the keyDimension option, if it is a dimension in the database)
+	 */
+	var getAnnotationKeyDimension = function(self) {
+		var key = self.options.keyDimension;
+		return key && self.dimensions.indexOf(key) !== -1 ? key : undefined;
+	};
+
+	/**
+	 * Add the annotations in the data of an annotations.csv file to a database
+	 * (without triggering any events).
+	 * Returns an array of the issues (warnings) found in the file.
+	 * @param {object} self - The database object
+	 * @param {string[][]} data_arr - The data parsed from the file
+	 * @param {number[]} lines - The line in the file that each row starts on
+	 */
+	var addAnnotationData = function(self, data_arr, lines) {
+		var issues = [];
+		var issue = function(code, message, row) {
+			issues.push({severity: 'warning', code: code, message: message, file: 'annotations.csv',
+				line: row !== undefined && lines ? lines[row] : undefined});
+		};
+		if (data_arr.length < 1) {
+			issue('FILE_TOO_SHORT', "The file has no header line.");
+			return issues;
+		}
+		var header = data_arr[0];
+		var key = header[0];
+		var tagsColumn = header.indexOf('tags');
+		var noteColumn = header.indexOf('note');
+		if (key !== 'index' && self.dimensions.indexOf(key) === -1) {
+			issue('UNKNOWN_DIMENSION', "The first column must be 'index' or a dimension in the database, not '"+key+"'.", 0);
+			return issues;
+		}
+
+		//The rows with each key
+		var rowsByKey = Object.create(null);
+		if (key !== 'index') {
+			for (var i = 0; i < self.rowCount; i++) {
+				var value = toCSVString(self.getValue(i, key));
+				(rowsByKey[value] = rowsByKey[value] || []).push(i);
+			}
+		}
+
+		for (var r = 1; r < data_arr.length; r++) {
+			var row = data_arr[r];
+			var indices = key === 'index' ?
+				(/^\d+$/.test(row[0]) && Number(row[0]) < self.rowCount ? [Number(row[0])] : []) :
+				(rowsByKey[row[0]] || []);
+			if (indices.length === 0) {
+				issue('UNKNOWN_ROW', "No row has the "+key+" '"+row[0]+"'.", r);
+				continue;
+			}
+			var tags = tagsColumn > 0 && row[tagsColumn] ? row[tagsColumn].split(';').map(function(tag) {
+				return tag.trim();
+			}).filter(function(tag) {return tag;}) : [];
+			var note = noteColumn > 0 ? row[noteColumn] : undefined;
+			indices.forEach(function(i) {
+				var annotation = getAnnotation(self, i, true);
+				tags.forEach(function(tag) {
+					addTagToAnnotation(self, annotation, tag);
+				});
+				if (note)
+					annotation.note = note;
+				removeEmptyAnnotation(self, i);
+			});
+		}
+		return issues;
+	};
+
+	/**
+	 * Add a dimension whose values are calculated from an expression over the other dimensions.
+	 * The expression is calculated again whenever the data changes (e.g. in refreshData()).
+	 * Triggers the dataUpdated event with the new dimension listed in 'addedDimensions'.
+	 *
+	 * Expressions may contain:
+	 * - numbers (e.g. 2, 0.5, 1e-3)
+	 * - dimensions, either by name (if the name is a valid identifier, e.g. energy) or in square
+	 *   brackets (e.g. [economy (mpg)])
+	 * - the operators + - * / % ^ (power) and parentheses
+	 * - the functions abs, sqrt, cbrt, exp, log, log2, log10, pow, min, max, floor, ceil,
+	 *   round, sin, cos, tan, asin, acos, atan and atan2
+	 * - the constants pi and e (unless there are dimensions with those names)
+	 * Boolean values are used as 1 or 0 and dates as milliseconds since the epoch. String
+	 * dimensions cannot be used. If any dimension used is undefined in a row, so is the result.
+	 * Results that are not finite (e.g. from a division by zero) are NaN.
+	 * @param {string} name - The name for the new dimension
+	 * @param {string} expression - The expression to calculate values with (e.g. 'energy / mass')
+	 * @throws {Error} If the name is already used or the expression is invalid
+	 */
+	CINEMA_COMPONENTS.Database.prototype.addDerivedDimension = function(name, expression) {
+		if (this.dimensions.indexOf(name) !== -1)
+			throw new Error("Cannot add derived dimension '"+name+"'. A dimension with that name already exists.");
+		var compiled = compileExpression(expression, this.dimensions, this.dimensionTypes);
+
+		var updateInfo = createUpdateInfo(this);
+		updateInfo.addedDimensions.push(name);
+
+		var model = {
+			columns: Object.assign({}, this.columns),
+			rowCount: this.rowCount,
+			dimensions: this.dimensions.slice(),
+			dimensionTypes: Object.assign({}, this.dimensionTypes),
+			dimensionDomains: Object.assign({}, this.dimensionDomains)
+		};
+		addDerivedColumn(model, name, compiled);
+		this.derivedDimensions.push({name: name, expression: expression});
+		applyModel(this, model);
+
+		this.dispatch.call("dataUpdated", this, updateInfo);
+	};
+
+	/**
+	 * Get the dimensions of the database that are not derived dimensions
+	 * (i.e. the dimensions in the data file)
+	 */
+	var getSourceDimensions = function(self) {
+		var derived = self.derivedDimensions.map(function(d) {return d.name;});
+		return self.dimensions.filter(function(d) {
+			return derived.indexOf(d) === -1;
+		});
+	};
+
+	/** @type {number} The number of composite databases created (to give each a unique id) */
+	var compositeCount = 0;
+
+	/**
+	 * Constructor for a CompositeDatabase.
+	 * Combines the data of several (loaded) databases into one, which can be used by components
+	 * like any other database. The rows of each database are either concatenated or, if a
+	 * key dimension is given, joined so that rows with the same key become one row. A string
+	 * dimension is added with the name of the database(s) each row came from, and the values
+	 * of FILE dimensions are resolved relative to the directory of the database they came from
+	 * (see getFilePath()).
+	 * The dimensions of the composite are all the dimensions of its databases (in order of
+	 * appearance) followed by the source dimension. A row has undefined values for dimensions
+	 * that its database does not have.
+	 * The composite is built again whenever one of its databases is updated (triggering its own
+	 * dataUpdated event) and refreshData() refreshes each of its databases.
+	 * @param {CINEMA_COMPONENTS.Database[]} databases - The databases to combine (all must be loaded)
+	 * @param {Object} options - Additional options. Fields are:
+	 * key {string}: A dimension to join rows on. Rows from different databases with the same value
+	 *     on it become one row (using the value from the first database with a defined value for
+	 *     each dimension). If not given, the rows are concatenated.
+	 * sourceDimension {string}: The name of the dimension with the source of each row (default 'source')
+	 * names {string[]}: The source name of each database (defaults to their directories).
+	 *     Joined rows have the names of each of their databases, separated by commas
+	 * categoryOrders {Object}: The order to put the categories of string dimensions in, keyed by
+	 *     dimension (see setCategoryOrder())
+	 * @throws {Error} If there are no databases, a database is not loaded or the source dimension
+	 *     is already a dimension in one of the databases
+	 */
+	CINEMA_COMPONENTS.CompositeDatabase = function(databases, options) {
+		var self = this;
+		options = options || {};
+		if (!databases || databases.length === 0)
+			throw new Error("A CompositeDatabase requires at least one database.");
+		databases.forEach(function(db) {
+			if (!db.loaded)
+				throw new Error("Database '"+db.directory+"' must be loaded before adding it to a CompositeDatabase.");
+		});
+
+		/** @type {CINEMA_COMPONENTS.Database[]} - The databases combined in this one */
+		this.databases = databases.slice();
+		/** @type {string} - The dimension holding the source of each row */
+		this.sourceDimension = options.sourceDimension || 'source';
+		/** @type {string[]} - The source name of each database */
+		this.sourceNames = this.databases.map(function(db, i) {
+			return options.names && options.names[i] !== undefined ? String(options.names[i]) : db.directory;
+		});
+		if (this.databases.some(function(db) {return db.dimensions.indexOf(self.sourceDimension) !== -1;}))
+			throw new Error("Cannot add source dimension '"+this.sourceDimension+"'. A dimension with that name already exists.");
+
+		/** @type {number} - A unique id for this composite database */
+		this.compositeId = compositeCount++;
+
+		this.directory = undefined;
+		this.loaded = true;
+		this.spec = undefined;
+		this.validationReport = new CINEMA_COMPONENTS.ValidationReport();
+		this.columns = {};
+		this.rowCount = 0;
+		this.dimensions = [];
+		this.dimensionTypes = {};
+		this.dimensionDomains = {};
+		this.derivedDimensions = [];
+		this.statisticsCache = {};
+		this.filter = undefined;
+		this.options = {key: options.key};
+		this.typeOverrides = {};
+		this.categoryOrders = getCategoryOrders(options.categoryOrders);
+		this.hasAxisOrdering = false;
+		this.dispatch = d3.dispatch("dataUpdated", "loadProgress", "annotationsChanged", "axisOrderChanged");
+		initAnnotations(this);
+
+		//Metadata for each dimension comes from the first database that has any
+		this.dimensionMetadata = {};
+		this.databases.slice().reverse().forEach(function(db) {
+			Object.assign(self.dimensionMetadata, db.dimensionMetadata);
+		});
+
+		applyModel(this, buildCompositeModel(this));
+
+		//Build again whenever one of the databases is updated
+		this.databases.forEach(function(db) {
+			db.dispatch.on('dataUpdated.composite'+self.compositeId, function() {
+				compositeUpdated(self);
+			});
+		});
+	};
+	//establish prototype chain
+	CINEMA_COMPONENTS.CompositeDatabase.prototype = Object.create(CINEMA_COMPONENTS.Database.prototype);
+	CINEMA_COMPONENTS.CompositeDatabase.prototype.constructor = CINEMA_COMPONENTS.CompositeDatabase;
+
+	/**
+	 * Refresh the data of each of the databases in the composite (see Database.refreshData()).
+	 * The composite triggers its dataUpdated event once any of them have changed.
+	 * @param {boolean} reloadAllData - Passed to each database's refreshData()
+	 */
+	CINEMA_COMPONENTS.CompositeDatabase.prototype.refreshData = function(reloadAllData) {
+		this.databases.forEach(function(db) {
+			db.refreshData(reloadAllData);
+		});
+	};
+
+	/**
+	 * Override getFilePath(). The values of FILE dimensions have already been resolved
+	 * relative to the directories of their databases.
+	 */
+	CINEMA_COMPONENTS.CompositeDatabase.prototype.getFilePath = function(index, dimension) {
+		return this.getValue(index, dimension);
+	};
+
+	/**
+	 * Stop building the composite again when its databases are updated.
+	 * The composite should not be used after this.
+	 */
+	CINEMA_COMPONENTS.CompositeDatabase.prototype.destroy = function() {
+		var self = this;
+		this.stopWatching();
+		this.databases.forEach(function(db) {
+			db.dispatch.on('dataUpdated.composite'+self.compositeId, null);
+		});
+	};
+
+	/**
+	 * Build the model for a composite database from the current data of its databases
+	 * (including its own derived dimensions).
+	 * @param {object} self - The composite database object
+	 */
+	var buildCompositeModel = function(self) {
+		var key = self.options.key;
+		//All the dimensions of the databases, in order of appearance
+		var dimensions = [];
+		self.databases.forEach(function(db) {
+			getSourceDimensions(db).forEach(function(d) {
+				if (dimensions.indexOf(d) === -1)
+					dimensions.push(d);
+			});
+		});
+		//Keep the types of dimensions that are the same in every database
+		//(rather than inferring them again from the values)
+		var types = {};
+		dimensions.forEach(function(d) {
+			var dbTypes = self.databases.filter(function(db) {
+				return db.dimensionTypes[d] !== undefined;
+			}).map(function(db) {return db.dimensionTypes[d];});
+			if (dbTypes.every(function(type) {return type === dbTypes[0];}))
+				types[d] = dbTypes[0];
+		});
+		types[self.sourceDimension] = DIMENSION_TYPE.STRING;
+
+		var sourceColumn = dimensions.length;
+		var rows = [];
+		var keyedRows = Object.create(null);
+		self.databases.forEach(function(db, n) {
+			for (var index = 0; index < db.rowCount; index++) {
+				var keyValue = key !== undefined ? db.getValue(index, key) : undefined;
+				var row = keyValue !== undefined ? keyedRows[toCSVString(keyValue)] : undefined;
+				if (!row) {
+					row = new Array(sourceColumn+1);
+					rows.push(row);
+					if (keyValue !== undefined)
+						keyedRows[toCSVString(keyValue)] = row;
+				}
+				for (var c = 0; c < sourceColumn; c++) {
+					var d = dimensions[c];
+					if (row[c] !== undefined || db.dimensionTypes[d] === undefined)
+						continue;
+					var value = /^FILE/.test(d) ? db.getFilePath(index, d) : db.getValue(index, d);
+					row[c] = toCSVString(value, db.dimensionTypes[d]);
+				}
+				row[sourceColumn] = row[sourceColumn] === undefined ? self.sourceNames[n] :
+					row[sourceColumn] + ',' + self.sourceNames[n];
+			}
+		});
+
+		var model = buildModel([dimensions.concat([self.sourceDimension])].concat(rows), undefined, types);
+		addDerivedColumns(model, self.derivedDimensions);
+		return model;
+	};
+
+	/**
+	 * Convert a value from a database into the string it would have in a CSV file
+	 * (undefined values stay undefined)
+	 * @param {any} value - The value
+	 * @param {number} type - The DIMENSION_TYPE of the value's dimension, if known
+	 * (so that values of date dimensions are written without a time)
+	 */
+	var toCSVString = function(value, type) {
+		if (value === undefined)
+			return undefined;
+		if (value instanceof Date)
+			return type === DIMENSION_TYPE.DATE ? value.toISOString().substring(0, 10) : value.toISOString();
+		return String(value);
+	};
+
+	/**
+	 * Called when one of the databases in a composite database is updated.
+	 * Builds the composite again and triggers its dataUpdated event if its data has changed.
+	 * @param {object} self - The composite database object
+	 */
+	var compositeUpdated = function(self) {
+		var newModel = buildCompositeModel(self);
+		var updateInfo = createUpdateInfo(self);
+		var key = self.options.key;
+		if (key !== undefined && self.columns[key] && newModel.columns[key])
+			diffRowsByKey(self, newModel, key, updateInfo);
+		else
+			diffRowsByPosition(self, newModel, updateInfo);
+		updateInfo.addedDimensions = newModel.dimensions.filter(function(d) {
+			return self.dimensions.indexOf(d) === -1;
+		});
+
+		if (updateInfo.added.length || updateInfo.modified.length || updateInfo.removed.length ||
+			updateInfo.addedDimensions.length) {
+			applyModel(self, newModel);
+			self.dispatch.call("dataUpdated", self, updateInfo);
+		}
+	};
 
-		//Convert rows from arrays to objects
-		var newData = data_arr.slice(1).map(function(d) {
-			var obj = {};
-			self.dimensions.forEach(function(p,i){obj[p] = d[i];});
-			return obj;
+	/**
+	 * Calculate each of the given derived dimensions and add them to a model built with buildModel().
+	 * Derived dimensions whose expressions are no longer valid for the model are skipped with a warning.
+	 * @param {object} model - The model to add to
+	 * @param {Object[]} derivedDimensions - The derived dimensions (each with a 'name' and 'expression')
+	 */
+	var addDerivedColumns = function(model, derivedDimensions) {
+		derivedDimensions.forEach(function(derived) {
+			try {
+				addDerivedColumn(model, derived.name,
+					compileExpression(derived.expression, model.dimensions, model.dimensionTypes));
+			}
+			catch (e) {
+				console.warn("Could not calculate derived dimension '"+derived.name+"'. "+e.message);
+			}
 		});
+	};
 
-		// Determine whether there has been a change in the data
-		var updated = false;
-		var updateInfo = { added: [], modified: [], removed: [], oldData: self.data, oldDimensionDomains: self.dimensionDomains };
-		for (var f = 0; f < self.data.length || f < newData.length; f++) {
-			if (f >= self.data.length) {
-				updateInfo.added.push(f);
-				updated = true;
-			}
-			else if (f >= newData.length) {
-				updateInfo.removed.push(f);
-				updated = true;
+	/**
+	 * Calculate the values for a compiled expression and add them to a model as a new dimension.
+	 * The dimension is an integer if every (non-NaN) value is an integer, otherwise a float.
+	 * @param {object} model - The model to add to
+	 * @param {string} name - The name of the new dimension
+	 * @param {object} compiled - The expression, compiled with compileExpression()
+	 */
+	var addDerivedColumn = function(model, name, compiled) {
+		var values = new Float64Array(model.rowCount);
+		var missing = new Uint8Array(model.rowCount);
+		var min = Infinity, max = -Infinity;
+		var isInteger = true;
+		for (var i = 0; i < model.rowCount; i++) {
+			if (compiled.dimensions.some(function(d) {return model.columns[d].missing[i];})) {
+				values[i] = NaN;
+				missing[i] = 1;
+				continue;
 			}
-			else if (!(JSON.stringify(self.data[f]) === JSON.stringify(newData[f])) ) {
-				updateInfo.modified.push(f);
-				updated = true;
+			values[i] = compiled.evaluate(model.columns, i);
+			//Results like a division by zero (Infinity) are NaN, so they stay out of the domain
+			if (!isFinite(values[i]))
+				values[i] = NaN;
+			else {
+				min = Math.min(min,values[i]);
+				max = Math.max(max,values[i]);
+				isInteger = isInteger && Number.isInteger(values[i]);
 			}
 		}
+		var type = isInteger ? DIMENSION_TYPE.INTEGER : DIMENSION_TYPE.FLOAT;
+		model.columns[name] = {type: type, values: values, missing: missing};
+		model.dimensions.push(name);
+		model.dimensionTypes[name] = type;
+		//if all values are NaN, domain is [0,0]
+		model.dimensionDomains[name] = min > max ? [0,0] : [min,max];
+	};
 
-		// If the data is updated, reset the dimensions and call the dataUpdated dispather.
-		if (updated) {
-			self.data = newData;
-			self.dimensionDomains = {};
-			calcData(self, data_arr);
+	/** The functions that can be used in derived dimension expressions */
+	var EXPRESSION_FUNCTIONS = ['abs','sqrt','cbrt','exp','log','log2','log10','pow','min','max',
+		'floor','ceil','round','sin','cos','tan','asin','acos','atan','atan2'];
+	/** The constants that can be used in derived dimension expressions */
+	var EXPRESSION_CONSTANTS = {pi: Math.PI, e: Math.E};
 
-			self.dispatch.call("dataUpdated",self, updateInfo);
+	/**
+	 * Split an expression into a list of tokens. Each token has a 'type'
+	 * ('number', 'name', 'dimension' (a name in square brackets), 'operator' or 'end')
+	 * a 'value' and the 'position' it starts at in the expression.
+	 * @param {string} expression - The expression to split
+	 * @throws {Error} If the expression contains an unexpected character
+	 */
+	var tokenizeExpression = function(expression) {
+		var tokens = [];
+		var pattern = /\s*(?:(\d+\.?\d*(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|\[([^\]]*)\]|([-+*\/%^(),]))/iy;
+		var position = 0;
+		while (position < expression.length) {
+			if (/^\s*$/.test(expression.slice(position)))
+				break;
+			pattern.lastIndex = position;
+			var match = pattern.exec(expression);
+			if (!match)
+				throw new Error("Unexpected character '"+expression.slice(position).trim()[0]+
+					"' at position "+(expression.slice(position).search(/\S/)+position)+".");
+			var start = position + match[0].search(/\S/);
+			if (match[1] !== undefined)
+				tokens.push({type: 'number', value: Number(match[1]), position: start});
+			else if (match[2] !== undefined)
+				tokens.push({type: 'name', value: match[2], position: start});
+			else if (match[3] !== undefined)
+				tokens.push({type: 'dimension', value: match[3], position: start});
+			else
+				tokens.push({type: 'operator', value: match[4], position: start});
+			position = pattern.lastIndex;
 		}
-	}
+		tokens.push({type: 'end', position: expression.length});
+		return tokens;
+	};
 
 	/**
-	 * Get data rows (returned as an array of indices) that are similar to the given data.
-	 * Difference between two data points is measured as the Manhattan distance where each dimension
-	 * is normalized. i.e. The sum of the differencs on each dimension (each scaled from 0 to 1).
-	 * On string dimensions, the distance is considered 0 if the strings are the same, otherwise 1
-	 * NaN values have 0 distance from each other, but 1 from anything else
-	 * undefined values 0 distance from each other, but 1 from defined values
-	 * @param {Object} query - An object representing the data to compare against 
-	 * (it does not necessarily have to be a data point already in the database)
-	 * (dimensions in query can be undefined and will not add to distance)
-	 * @param {number} threshold - The value that the difference must be below to be considerd "similiar"
+	 * Compile an expression for a derived dimension (see addDerivedDimension())
+	 * Returns an object with the list of 'dimensions' used in the expression and
+	 * an 'evaluate' function which calculates the expression for the row at an index
+	 * in a set of columns: evaluate(columns, index)
+	 * @param {string} expression - The expression to compile
+	 * @param {string[]} dimensions - The dimensions that the expression can use
+	 * @param {Object} dimensionTypes - The types of the dimensions
+	 * @throws {Error} If the expression is invalid
 	 */
-	CINEMA_COMPONENTS.Database.prototype.getSimilar = function(query, threshold) {
-		var self = this;
-		var similar = [];
-		this.data.forEach(function(row,index) {
-			var dist = 0; //manhattan distance
-			self.dimensions.forEach(function(d) {
-				if (query[d] !== undefined) {
-					//On string dimensions, the distance is considered 0 if the strings are the same, otherwise 1
-					if (self.isStringDimension(d))
-						dist += (row[d] == query[d] ? 0 : 1);
-					//Compare number dimensions
-					else {
-						//NaN values have 0 distance from each other, but 1 from anything else
-						if (isNaN(query[d]))
-							dist += (isNaN(row[d]) ? 0 : 1);
-						//undefined values 0 distance from each other, but 1 from defined values
-						else if (row[d] === undefined)
-							dist += 1;
-						//calculate normalized distance
-						else {
-							var extent = self.dimensionDomains[d];
-							dist += Math.abs(
-								getNormalizedValue(query[d],extent[0],extent[1])
-								-
-								getNormalizedValue(row[d],extent[0],extent[1])
-							);
+	var compileExpression = function(expression, dimensions, dimensionTypes) {
+		if (typeof expression !== 'string')
+			throw new Error("Expression must be a string.");
+		var tokens, current = 0;
+		var used = [];
+
+		var peek = function() {return tokens[current];};
+		var isOperator = function(value) {
+			return peek().type === 'operator' && peek().value === value;
+		};
+		var fail = function(message) {
+			throw new Error("Invalid expression '"+expression+"'. "+message);
+		};
+		var expect = function(value) {
+			if (!isOperator(value))
+				fail("Expected '"+value+"' at position "+peek().position+".");
+			current++;
+		};
+
+		try {
+			tokens = tokenizeExpression(expression);
+		}
+		catch (e) {
+			fail(e.message);
+		}
+
+		//Reference a dimension in the expression
+		var dimensionNode = function(name, position) {
+			if (dimensions.indexOf(name) === -1)
+				fail("Unknown dimension '"+name+"' at position "+position+".");
+			if (dimensionTypes[name] === DIMENSION_TYPE.STRING)
+				fail("String dimension '"+name+"' cannot be used in an expression.");
+			if (used.indexOf(name) === -1)
+				used.push(name);
+			return function(columns, index) {return columns[name].values[index];};
+		};
+
+		//additive := multiplicative (('+'|'-') multiplicative)*
+		var parseAdditive = function() {
+			var node = parseMultiplicative();
+			while (isOperator('+') || isOperator('-')) {
+				var op = tokens[current++].value;
+				node = binaryNode(op, node, parseMultiplicative());
+			}
+			return node;
+		};
+		//multiplicative := unary (('*'|'/'|'%') unary)*
+		var parseMultiplicative = function() {
+			var node = parseUnary();
+			while (isOperator('*') || isOperator('/') || isOperator('%')) {
+				var op = tokens[current++].value;
+				node = binaryNode(op, node, parseUnary());
+			}
+			return node;
+		};
+		//unary := ('-'|'+') unary | power
+		var parseUnary = function() {
+			if (isOperator('-')) {
+				current++;
+				var operand = parseUnary();
+				return function(columns, index) {return -operand(columns, index);};
+			}
+			if (isOperator('+')) {
+				current++;
+				return parseUnary();
+			}
+			return parsePower();
+		};
+		//power := primary ('^' unary)?  (right associative)
+		var parsePower = function() {
+			var node = parsePrimary();
+			if (isOperator('^')) {
+				current++;
+				node = binaryNode('^', node, parseUnary());
+			}
+			return node;
+		};
+		//primary := number | dimension | name | name '(' arguments ')' | '(' additive ')'
+		var parsePrimary = function() {
+			var token = tokens[current++];
+			if (token.type === 'number')
+				return function() {return token.value;};
+			if (token.type === 'dimension')
+				return dimensionNode(token.value, token.position);
+			if (token.type === 'name') {
+				//Function call
+				if (isOperator('(')) {
+					if (EXPRESSION_FUNCTIONS.indexOf(token.value) === -1)
+						fail("Unknown function '"+token.value+"' at position "+token.position+".");
+					current++;
+					var args = [];
+					if (!isOperator(')')) {
+						args.push(parseAdditive());
+						while (isOperator(',')) {
+							current++;
+							args.push(parseAdditive());
 						}
 					}
+					expect(')');
+					var fn = Math[token.value];
+					if (args.length < 1 || (fn.length > 0 && args.length !== fn.length && token.value !== 'min' && token.value !== 'max'))
+						fail("Wrong number of arguments for '"+token.value+"' at position "+token.position+".");
+					return function(columns, index) {
+						return fn.apply(null, args.map(function(arg) {return arg(columns, index);}));
+					};
 				}
-			});//end self.dimensions.forEach()
-			if (dist <= threshold) {
-				similar.push(index);
+				//Dimensions take precedence over constants
+				if (dimensions.indexOf(token.value) === -1 && EXPRESSION_CONSTANTS.hasOwnProperty(token.value))
+					return function() {return EXPRESSION_CONSTANTS[token.value];};
+				return dimensionNode(token.value, token.position);
 			}
-		});//end this.data.forEach()
-		return similar;
-	}
-	
+			if (token.type === 'operator' && token.value === '(') {
+				var node = parseAdditive();
+				expect(')');
+				return node;
+			}
+			if (token.type === 'end')
+				fail("Unexpected end of expression.");
+			fail("Unexpected '"+token.value+"' at position "+token.position+".");
+		};
+
+		var binaryNode = function(op, left, right) {
+			switch (op) {
+				case '+': return function(columns, index) {return left(columns, index) + right(columns, index);};
+				case '-': return function(columns, index) {return left(columns, index) - right(columns, index);};
+				case '*': return function(columns, index) {return left(columns, index) * right(columns, index);};
+				case '/': return function(columns, index) {return left(columns, index) / right(columns, index);};
+				case '%': return function(columns, index) {return left(columns, index) % right(columns, index);};
+				case '^': return function(columns, index) {return Math.pow(left(columns, index), right(columns, index));};
+			}
+		};
+
+		var root = parseAdditive();
+		if (peek().type !== 'end')
+			fail("Unexpected '"+peek().value+"' at position "+peek().position+".");
+		return {dimensions: used, evaluate: root};
+	};
+
+	/**
+	 * Parse the contents of a dimensions.json file, which contains an object where each key
+	 * is the name of a dimension and each value is an object with its display information.
+	 * (See setDimensionMetadata() for the fields)
+	 * Returns an object with the parsed 'metadata' and a list of 'warnings' for any
+	 * invalid fields (which are left out of the metadata)
+	 * @param {Object} json - The contents of dimensions.json
+	 * @param {Object} dimensionTypes - The types of the dimensions (optional). If given, the formats
+	 *     of numeric dimensions are checked too
+	 */
+	var parseDimensionMetadata = function(json, dimensionTypes) {
+		var result = {metadata: {}, warnings: []};
+		if (typeof json !== 'object' || json === null || Array.isArray(json)) {
+			result.warnings.push("Expected an object with a field for each dimension.");
+			return result;
+		}
+		var fieldTypes = {label: 'string', unit: 'string', description: 'string',
+			format: 'string', scale: 'string', hidden: 'boolean'};
+		Object.keys(json).forEach(function(d) {
+			var metadata = {};
+			if (typeof json[d] !== 'object' || json[d] === null) {
+				result.warnings.push("Information for dimension '"+d+"' must be an object.");
+				return;
+			}
+			Object.keys(json[d]).forEach(function(field) {
+				var value = json[d][field];
+				if (!fieldTypes.hasOwnProperty(field))
+					result.warnings.push("Unknown field '"+field+"' for dimension '"+d+"'.");
+				else if (typeof value !== fieldTypes[field])
+					result.warnings.push("Field '"+field+"' for dimension '"+d+"' must be a "+fieldTypes[field]+".");
+				else if (field === 'scale' && value !== 'linear' && value !== 'log')
+					result.warnings.push("Scale for dimension '"+d+"' must be 'linear' or 'log'.");
+				else if (field === 'format' && dimensionTypes && getFormatError(value, dimensionTypes[d]))
+					result.warnings.push("Invalid format '"+value+"' for dimension '"+d+"'. "+
+						getFormatError(value, dimensionTypes[d]));
+				else
+					metadata[field] = value;
+			});
+			result.metadata[d] = metadata;
+		});
+		return result;
+	};
+
+	/**
+	 * Get the message of the error d3 throws for the given format in a dimension of the given
+	 * type, or undefined if it is a valid format. (Only formats for numbers can be invalid)
+	 * @param {string} format - The format
+	 * @param {number} type - The DIMENSION_TYPE of the dimension
+	 */
+	var getFormatError = function(format, type) {
+		if (type !== DIMENSION_TYPE.INTEGER && type !== DIMENSION_TYPE.FLOAT)
+			return undefined;
+		try {
+			d3.format(format);
+		}
+		catch (e) {
+			return e.message;
+		}
+	};
+
 	/**
 	 * Parse this database's axis data from the given array of data (from axis_order.csv)
 	 */
@@ -401,22 +3606,138 @@
 	}
 
 	/**
-	 * Fetch a CSV file and parse the data into a two-dimensional array.
-	 * @param {String} path URL of CSV file
-	 * @param {Function} callback Callback if succesful, provides the data array and a reference
+	 * Convert the contents of a SpecA or SpecC info.json file into an array of rows
+	 * (in the same format as a parsed data.csv file, with the header as the first row).
+	 * One row is created for every combination of the values of the parameters.
+	 * FILE columns are synthesized by filling in the name_pattern with each row's values.
+	 *
+	 * In SpecC, parameters with the 'layer', 'control' or 'field' role describe the images
+	 * that are composited together to make a single view. Instead of creating rows, every
+	 * combination of them gets its own FILE column (named after the values in that combination).
+	 * Returns an object with the spec ('A' or 'C') and data, or an object with an error message.
+	 * @param {Object} info - The parsed contents of info.json
+	 */
+	var parseInfoJSON = function(info) {
+		if (!info || typeof info.name_pattern !== 'string' || typeof info.parameter_list !== 'object')
+			return {error: "info.json must contain a 'name_pattern' and a 'parameter_list'."};
+
+		var spec = (info.metadata && info.metadata.type === 'composite-image-stack') ? 'C' : 'A';
+		var parameters = Object.keys(info.parameter_list);
+		for (var i = 0; i < parameters.length; i++) {
+			var values = info.parameter_list[parameters[i]].values;
+			if (!Array.isArray(values) || values.length == 0)
+				return {error: "Parameter '"+parameters[i]+"' in info.json must have a non-empty list of values."};
+		}
+
+		//Split parameters into those that make rows and (in SpecC) those that make layers
+		var isLayerParameter = function(p) {
+			var role = info.parameter_list[p].role;
+			return spec === 'C' && (role === 'layer' || role === 'control' || role === 'field');
+		};
+		var rowParameters = parameters.filter(function(p) {return !isLayerParameter(p);});
+		var layerParameters = parameters.filter(isLayerParameter);
+
+		var rowCombinations = getCombinations(info.parameter_list, rowParameters);
+		var layerCombinations = getCombinations(info.parameter_list, layerParameters, info.constraints);
+
+		var fileDimensions = layerParameters.length == 0 ?
+			['FILE'] :
+			layerCombinations.map(function(layer) {
+				return 'FILE_' + layerParameters.filter(function(p) {return layer[p] !== undefined;})
+					.map(function(p) {return layer[p];}).join('_');
+			});
+
+		var data = [rowParameters.concat(fileDimensions)];
+		rowCombinations.forEach(function(row) {
+			var files = layerCombinations.map(function(layer) {
+				return fillNamePattern(info.name_pattern, info.parameter_list, row, layer);
+			});
+			data.push(rowParameters.map(function(p) {return String(row[p]);}).concat(files));
+		});
+
+		return {spec: spec, data: data};
+	}
+
+	/**
+	 * Get every combination of values for the given parameters (from an info.json parameter_list)
+	 * Returns an array of objects, each mapping parameter names to a value.
+	 * If constraints are given (in the SpecC format: {param: {otherParam: [allowed values]}}),
+	 * a parameter is left undefined in combinations where its constraints are not met.
+	 */
+	var getCombinations = function(parameterList, parameters, constraints) {
+		var combinations = [{}];
+		parameters.forEach(function(p) {
+			var next = [];
+			combinations.forEach(function(combination) {
+				if (!meetsConstraints(combination, constraints ? constraints[p] : null)) {
+					next.push(combination);
+					return;
+				}
+				parameterList[p].values.forEach(function(value) {
+					var c = Object.assign({}, combination);
+					c[p] = value;
+					next.push(c);
+				});
+			});
+			combinations = next;
+		});
+		return combinations;
+	}
+
+	//Check that a (partial) combination of parameter values meets the given constraints
+	var meetsConstraints = function(combination, constraint) {
+		if (!constraint)
+			return true;
+		for (var other in constraint) {
+			var allowed = Array.isArray(constraint[other]) ? constraint[other] : [constraint[other]];
+			if (!allowed.includes(combination[other]))
+				return false;
+		}
+		return true;
+	}
+
+	/**
+	 * Fill in the name_pattern from an info.json file with the given parameter values.
+	 * Parameters without a value (such as constrained layer parameters) use their default value.
+	 */
+	var fillNamePattern = function(pattern, parameterList, row, layer) {
+		return pattern.replace(/{([^}]*)}/g, function(match, p) {
+			if (row[p] !== undefined)
+				return row[p];
+			if (layer && layer[p] !== undefined)
+				return layer[p];
+			if (parameterList[p] && parameterList[p].default !== undefined)
+				return parameterList[p].default;
+			return match;
+		});
+	}
+
+	/**
+	 * Fetch a JSON file and parse it.
+	 * @param {String} path URL of JSON file
+	 * @param {Function} callback Callback if succesful, provides the parsed object and a reference
 	 * to the XMLHttpRequest that retrieved it
-	 * @param {Function} errorCallback Called if an error occured with the request
+	 * @param {Function} errorCallback Called if an error occured with the request or while parsing
 	 */
-	var getAndParseCSV = function(path,callback,errorCallback) {
+	var getJSON = function(path,callback,errorCallback) {
 		var request = new XMLHttpRequest();
 		request.open("GET",path,true);
 		request.onreadystatechange = function() {
 			if (request.readyState === 4) {
-				if (request.status === 200 || 
+				if (request.status === 200 ||
 						//Safari returns 0 on success (while other browsers use 0 for an error)
 						(navigator.userAgent.match(/Safari/) && request.status === 0)
 				) {
-					var data = parseCSV(request.responseText);
+					var data;
+					try {
+						data = JSON.parse(request.responseText);
+					}
+					catch (e) {
+						console.warn("Could not parse " + path + ": " + e.message);
+						if (errorCallback)
+							errorCallback();
+						return;
+					}
 					if (callback)
 						callback(data, request);
 				}
@@ -428,6 +3749,594 @@
 		request.send(null);
 	}
 
+	/**
+	 * Fetch a CSV file and parse the data into a two-dimensional array.
+	 * The file is decompressed first if it is gzip-compressed.
+	 * @param {String} path URL of CSV file
+	 * @param {Function} callback Callback if succesful, provides the data array, a reference
+	 * to the XMLHttpRequest that retrieved it, the line each row starts on and whether the file
+	 * was compressed
+	 * @param {Function} errorCallback Called if an error occured with the request (with the Error
+	 * if the file could not be decompressed)
+	 * @param {Object} format How the file is written (optional, see getDataFormat())
+	 */
+	var getAndParseCSV = function(path,callback,errorCallback,format) {
+		var request = new XMLHttpRequest();
+		request.open("GET",path,true);
+		request.responseType = 'arraybuffer';
+		request.onreadystatechange = function() {
+			if (request.readyState === 4) {
+				if (request.status === 200 || 
+						//Safari returns 0 on success (while other browsers use 0 for an error)
+						(navigator.userAgent.match(/Safari/) && request.status === 0)
+				) {
+					decodeFileBytes(new Uint8Array(request.response), function(text, compressed) {
+						var lines = [];
+						var data = parseCSV(text, lines, 1, format && format.delimiter, format && format.comment);
+						if (callback)
+							callback(data, request, lines, compressed);
+					}, errorCallback);
+				}
+				else if (errorCallback) {
+					errorCallback();
+				}
+			}
+		}
+		request.send(null);
+	}
+
+	/**
+	 * Get the text of one of a database's files from memory (see the 'files' option).
+	 * The file may be given as text or as its bytes (an ArrayBuffer or typed array), which
+	 * are decompressed if they are gzip-compressed (see decodeFileBytes()).
+	 * Calls back asynchronously, like a request would.
+	 * @param {Object} files - The text (or bytes) of each file, keyed by file name
+	 * @param {string} file - The name of the file to get
+	 * @param {function(string, boolean)} callback - Called with the text of the file and whether
+	 * it was compressed
+	 * @param {function} errorCallback - Called if there is no such file (or with the Error if it
+	 * could not be decompressed)
+	 */
+	var getFileText = function(files, file, callback, errorCallback) {
+		setTimeout(function() {
+			var content = files[file];
+			if (typeof content === 'string')
+				callback(content, false);
+			else if (content instanceof ArrayBuffer || ArrayBuffer.isView(content))
+				decodeFileBytes(content instanceof ArrayBuffer ? new Uint8Array(content) :
+					new Uint8Array(content.buffer, content.byteOffset, content.byteLength),
+					callback, errorCallback);
+			else if (errorCallback)
+				errorCallback();
+		}, 0);
+	};
+
+	/**
+	 * Get the text of a file from its bytes, decompressing them first if they are gzip-compressed.
+	 * Decompresses with a DecompressionStream if the browser has them, otherwise with inflateGzip().
+	 * @param {Uint8Array} bytes - The bytes of the file
+	 * @param {function(string, boolean)} callback - Called with the text of the file and whether
+	 * it was compressed
+	 * @param {function(Error)} errorCallback - Called with the error if the bytes could not be decompressed
+	 */
+	var decodeFileBytes = function(bytes, callback, errorCallback) {
+		if (!isGzip(bytes)) {
+			callback(new TextDecoder().decode(bytes), false);
+			return;
+		}
+		var failed = function(e) {
+			console.warn("Could not decompress file: " + e.message);
+			if (errorCallback)
+				errorCallback(e);
+		};
+		if (typeof DecompressionStream !== 'undefined' && typeof Response !== 'undefined') {
+			new Response(new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'))).text()
+				.then(function(text) {callback(text, true);}, failed);
+			return;
+		}
+		var text;
+		try {
+			text = new TextDecoder().decode(inflateGzip(bytes));
+		}
+		catch (e) {
+			failed(e);
+			return;
+		}
+		callback(text, true);
+	};
+
+	/**
+	 * Check whether the given bytes start like a gzip file
+	 */
+	var isGzip = function(bytes) {
+		return bytes.length >= 2 && bytes[0] === 0x1f && bytes[1] === 0x8b;
+	};
+
+	/**
+	 * Decompress the bytes of a gzip file (for browsers without DecompressionStream).
+	 * Files with several gzip members (such as concatenated gzip files) are decompressed
+	 * into one.
+	 * @param {Uint8Array} bytes - The bytes of the gzip file
+	 * @throws {Error} If the bytes are not valid gzip data
+	 */
+	var inflateGzip = function(bytes) {
+		var members = [];
+		var length = 0;
+		var pos = 0;
+		while (pos < bytes.length && isGzip(bytes.subarray(pos))) {
+			if (bytes[pos+2] !== 8)
+				throw new Error("Unknown compression method.");
+			var flags = bytes[pos+3];
+			pos += 10;
+			//Skip the optional extra field, file name, comment and header checksum
+			if (flags & 4)
+				pos += 2 + (bytes[pos] | bytes[pos+1] << 8);
+			if (flags & 8)
+				while (pos < bytes.length && bytes[pos++] !== 0);
+			if (flags & 16)
+				while (pos < bytes.length && bytes[pos++] !== 0);
+			if (flags & 2)
+				pos += 2;
+			var result = inflate(bytes, pos);
+			members.push(result.data);
+			length += result.data.length;
+			//Skip the checksum and size at the end of the member
+			pos = result.end + 8;
+		}
+		if (members.length === 0)
+			throw new Error("Not gzip data.");
+		var output = new Uint8Array(length);
+		var offset = 0;
+		members.forEach(function(data) {
+			output.set(data, offset);
+			offset += data.length;
+		});
+		return output;
+	};
+
+	/** Base lengths (and their numbers of extra bits) of the length codes 257-285 in deflate data */
+	var INFLATE_LENGTH_BASE = [3,4,5,6,7,8,9,10,11,13,15,17,19,23,27,31,35,43,51,59,67,83,99,115,131,163,195,227,258];
+	var INFLATE_LENGTH_EXTRA = [0,0,0,0,0,0,0,0,1,1,1,1,2,2,2,2,3,3,3,3,4,4,4,4,5,5,5,5,0];
+	/** Base distances (and their numbers of extra bits) of the distance codes in deflate data */
+	var INFLATE_DISTANCE_BASE = [1,2,3,4,5,7,9,13,17,25,33,49,65,97,129,193,257,385,513,769,1025,1537,2049,
+		3073,4097,6145,8193,12289,16385,24577];
+	var INFLATE_DISTANCE_EXTRA = [0,0,0,0,1,1,2,2,3,3,4,4,5,5,6,6,7,7,8,8,9,9,10,10,11,11,12,12,13,13];
+	/** The order the lengths of the code length codes are given in (in dynamic blocks) */
+	var INFLATE_CODE_LENGTH_ORDER = [16,17,18,0,8,7,9,6,10,5,11,4,12,3,13,2,14,1,15];
+
+	/**
+	 * Decompress raw deflate data (RFC 1951), starting at the given position in the bytes.
+	 * Returns an object with the decompressed 'data' and the position of the byte after its 'end'.
+	 * Based on the structure of puff.c by Mark Adler
+	 * @param {Uint8Array} bytes - The bytes containing the deflate data
+	 * @param {number} start - The position the deflate data starts at
+	 * @throws {Error} If the data is not valid
+	 */
+	var inflate = function(bytes, start) {
+		var pos = start;
+		var bitBuffer = 0;
+		var bitCount = 0;
+		var output = new Uint8Array(Math.max(bytes.length * 4, 1024));
+		var length = 0;
+
+		//Read the next n bits (least significant first)
+		var bits = function(n) {
+			while (bitCount < n) {
+				if (pos >= bytes.length)
+					throw new Error("Unexpected end of compressed data.");
+				bitBuffer |= bytes[pos++] << bitCount;
+				bitCount += 8;
+			}
+			var value = bitBuffer & ((1 << n) - 1);
+			bitBuffer >>>= n;
+			bitCount -= n;
+			return value;
+		};
+		//Make room in the output for n more bytes
+		var reserve = function(n) {
+			if (length + n > output.length) {
+				var larger = new Uint8Array(Math.max(output.length * 2, length + n));
+				larger.set(output.subarray(0, length));
+				output = larger;
+			}
+		};
+		//Build a canonical Huffman code from the code length of each symbol
+		var huffman = function(lengths) {
+			var counts = new Uint16Array(16);
+			var offsets = new Uint16Array(16);
+			var symbols = new Uint16Array(lengths.length);
+			for (var i = 0; i < lengths.length; i++)
+				counts[lengths[i]]++;
+			counts[0] = 0;
+			for (var i = 1; i < 16; i++)
+				offsets[i] = offsets[i-1] + counts[i-1];
+			for (var i = 0; i < lengths.length; i++)
+				if (lengths[i] !== 0)
+					symbols[offsets[lengths[i]]++] = i;
+			return {counts: counts, symbols: symbols};
+		};
+		//Read the next symbol with the given Huffman code
+		var decode = function(code) {
+			var value = 0, first = 0, index = 0;
+			for (var len = 1; len < 16; len++) {
+				value |= bits(1);
+				var count = code.counts[len];
+				if (value - count < first)
+					return code.symbols[index + (value - first)];
+				index += count;
+				first = (first + count) << 1;
+				value <<= 1;
+			}
+			throw new Error("Invalid Huffman code in compressed data.");
+		};
+
+		var last;
+		do {
+			last = bits(1);
+			var type = bits(2);
+			//Stored (uncompressed) block, starting at the next byte
+			if (type === 0) {
+				bitBuffer = 0;
+				bitCount = 0;
+				if (pos + 4 > bytes.length)
+					throw new Error("Unexpected end of compressed data.");
+				var storedLength = bytes[pos] | bytes[pos+1] << 8;
+				pos += 4;
+				if (pos + storedLength > bytes.length)
+					throw new Error("Unexpected end of compressed data.");
+				reserve(storedLength);
+				output.set(bytes.subarray(pos, pos + storedLength), length);
+				length += storedLength;
+				pos += storedLength;
+			}
+			//Compressed block with fixed or dynamic Huffman codes
+			else if (type === 1 || type === 2) {
+				var lengths;
+				var literalCount = 288;
+				if (type === 1) {
+					lengths = new Uint8Array(288 + 30);
+					lengths.fill(8, 0, 144);
+					lengths.fill(9, 144, 256);
+					lengths.fill(7, 256, 280);
+					lengths.fill(8, 280, 288);
+					lengths.fill(5, 288);
+				}
+				else {
+					literalCount = bits(5) + 257;
+					var distanceCount = bits(5) + 1;
+					var codeLengthCount = bits(4) + 4;
+					var codeLengths = new Uint8Array(19);
+					for (var i = 0; i < codeLengthCount; i++)
+						codeLengths[INFLATE_CODE_LENGTH_ORDER[i]] = bits(3);
+					var lengthCode = huffman(codeLengths);
+					lengths = new Uint8Array(literalCount + distanceCount);
+					for (var i = 0; i < lengths.length;) {
+						var symbol = decode(lengthCode);
+						if (symbol < 16) {
+							lengths[i++] = symbol;
+							continue;
+						}
+						var repeat, value = 0;
+						if (symbol === 16) {
+							if (i === 0)
+								throw new Error("Invalid code lengths in compressed data.");
+							value = lengths[i-1];
+							repeat = 3 + bits(2);
+						}
+						else if (symbol === 17)
+							repeat = 3 + bits(3);
+						else
+							repeat = 11 + bits(7);
+						if (i + repeat > lengths.length)
+							throw new Error("Invalid code lengths in compressed data.");
+						while (repeat--)
+							lengths[i++] = value;
+					}
+				}
+				var literalCode = huffman(lengths.subarray(0, literalCount));
+				var distanceCode = huffman(lengths.subarray(literalCount));
+				for (;;) {
+					var symbol = decode(literalCode);
+					if (symbol < 256) {
+						reserve(1);
+						output[length++] = symbol;
+					}
+					else if (symbol === 256)
+						break;
+					else {
+						symbol -= 257;
+						if (symbol >= 29)
+							throw new Error("Invalid length in compressed data.");
+						var copyLength = INFLATE_LENGTH_BASE[symbol] + bits(INFLATE_LENGTH_EXTRA[symbol]);
+						var distanceSymbol = decode(distanceCode);
+						if (distanceSymbol >= 30)
+							throw new Error("Invalid distance in compressed data.");
+						var distance = INFLATE_DISTANCE_BASE[distanceSymbol] + bits(INFLATE_DISTANCE_EXTRA[distanceSymbol]);
+						if (distance > length)
+							throw new Error("Invalid distance in compressed data.");
+						reserve(copyLength);
+						//(The copy may overlap the bytes being written)
+						for (var i = 0; i < copyLength; i++, length++)
+							output[length] = output[length - distance];
+					}
+				}
+			}
+			else
+				throw new Error("Invalid block type in compressed data.");
+		} while (!last);
+
+		return {data: output.subarray(0, length), end: pos};
+	};
+
+	/**
+	 * Collect the files (and their paths) in a FileList, array of Files or DataTransfer.
+	 * The contents of directories in a DataTransfer are read recursively.
+	 * Calls back with an array of objects, each with a 'path' and a 'file'.
+	 * @param {FileList|File[]|DataTransfer} files - The files to collect
+	 * @param {function(Object[])} callback - Called with the collected files
+	 */
+	var collectFiles = function(files, callback) {
+		var entries = [];
+		//Dropped directories can only be read through the items of a DataTransfer
+		var items = files.items ? Array.prototype.slice.call(files.items).map(function(item) {
+			return item.webkitGetAsEntry ? item.webkitGetAsEntry() : null;
+		}).filter(function(entry) {return entry;}) : [];
+		if (items.length === 0) {
+			Array.prototype.slice.call(files.files || files).forEach(function(file) {
+				entries.push({path: file.webkitRelativePath || file.name, file: file});
+			});
+			callback(entries);
+			return;
+		}
+
+		var pending = 0;
+		var done = function() {
+			if (--pending === 0)
+				callback(entries);
+		};
+		var readEntry = function(entry) {
+			pending++;
+			if (entry.isFile) {
+				entry.file(function(file) {
+					entries.push({path: entry.fullPath.replace(/^\//, ''), file: file});
+					done();
+				}, done);
+			}
+			else {
+				//readEntries() returns the entries in batches until it returns an empty batch
+				var reader = entry.createReader();
+				var readBatch = function() {
+					reader.readEntries(function(batch) {
+						if (batch.length === 0) {
+							done();
+							return;
+						}
+						batch.forEach(readEntry);
+						readBatch();
+					}, done);
+				};
+				readBatch();
+			}
+		};
+		items.forEach(readEntry);
+	};
+
+	/**
+	 * Create a Web Worker (from a blob) that loads, parses and builds the model for
+	 * a data.csv file. Returns undefined if workers cannot be created in this browser.
+	 * Communicates through messages. See loadingWorkerMain() for details.
+	 */
+	var createLoadingWorker = function() {
+		if (typeof Worker === 'undefined' || typeof Blob === 'undefined' ||
+			typeof URL === 'undefined' || !URL.createObjectURL)
+			return;
+
+		//The worker can't see anything in this file, so the functions it needs are
+		//included in its source
+		var source = 'var DIMENSION_TYPE = ' + JSON.stringify(DIMENSION_TYPE) + ';\n' +
+			'var parseCSV = ' + parseCSV.toString() + ';\n' +
+			'var validateData = ' + validateData.toString() + ';\n' +
+			'var readTypesRow = ' + readTypesRow.toString() + ';\n' +
+			'var DATE_PATTERN = ' + DATE_PATTERN.toString() + ';\n' +
+			'var DATETIME_PATTERN = ' + DATETIME_PATTERN.toString() + ';\n' +
+			'var inferDimensionType = ' + inferDimensionType.toString() + ';\n' +
+			'var parseValue = ' + parseValue.toString() + ';\n' +
+			'var buildModel = ' + buildModel.toString() + ';\n' +
+			'var getModelBuffers = ' + getModelBuffers.toString() + ';\n' +
+			'(' + loadingWorkerMain.toString() + ')();';
+		var url = URL.createObjectURL(new Blob([source], {type: 'application/javascript'}));
+		try {
+			var worker = new Worker(url);
+			//The worker's source is no longer needed once it has started running
+			worker.addEventListener('message', function() {URL.revokeObjectURL(url);});
+			worker.addEventListener('error', function() {URL.revokeObjectURL(url);});
+			return worker;
+		}
+		catch (e) {
+			//Workers may be blocked (e.g. by a content security policy)
+			URL.revokeObjectURL(url);
+		}
+	}
+
+	/**
+	 * The main function of the loading worker. (Only runs inside the worker)
+	 * Expects a message with the 'path' to the data file, its name ('file') and 'format'
+	 * (see getDataFormat()), the 'filter' and type overrides ('types') for the database and the
+	 * 'chunkSize' (in characters). The file is streamed and parsed in chunks (and decompressed
+	 * with a DecompressionStream if it is gzip-compressed).
+	 * Posts messages with a 'type' of:
+	 * 'progress': with 'progress' (an object with 'loaded', 'total' and 'rows')
+	 * 'done': with the built 'model', the 'contentLength', 'eTag' and 'lastModified' headers of the file,
+	 *     any 'issues' (warnings) in the data, the 'types' it was built with (including those from
+	 *     a types row) and whether the file was 'compressed'
+	 * 'dataError': with the 'issues' in the data if it has errors
+	 * 'requestError': if the file could not be loaded
+	 * 'unsupported': if the file cannot be loaded from inside the worker
+	 */
+	var loadingWorkerMain = function() {
+		self.onmessage = function(e) {
+			var path = e.data.path;
+			var file = e.data.file;
+			var format = e.data.format;
+			var filter = e.data.filter;
+			var types = e.data.types;
+			var chunkSize = e.data.chunkSize;
+
+			if (typeof fetch === 'undefined' || typeof TextDecoder === 'undefined') {
+				self.postMessage({type: 'unsupported'});
+				return;
+			}
+
+			var data_arr = [];
+			var lines = [];//the line each row starts on
+			var nextLine = 1;//the line the pending text starts on
+			var loaded = 0;
+			var pending = '';//text that has been received but not yet parsed
+
+			//Parse all the complete lines in pending text
+			//(or all of it, if this is the end of the file)
+			var parsePending = function(done) {
+				var end = pending.length;
+				if (!done) {
+					//Find the last line break that is not inside of a quoted value
+					var quoted = false;
+					end = -1;
+					for (var i = 0; i < pending.length; i++) {
+						var c = pending.charCodeAt(i);
+						//(Quotes in comment lines don't start quoted values)
+						if (format.comment && !quoted && (i === 0 || pending.charCodeAt(i-1) === 10) &&
+							pending.startsWith(format.comment, i)) {
+							var lineEnd = pending.indexOf('\n', i);
+							if (lineEnd < 0)
+								break;
+							end = i = lineEnd;
+						}
+						else if (c === 34)//"
+							quoted = !quoted;
+						else if (c === 10 && !quoted)//\n
+							end = i;
+					}
+					if (end < 0)
+						return;
+				}
+				var text = pending.slice(0, end);
+				//A '\r' just before the line break is part of it ('\r\n'), not a line break of its own
+				if (!done && text.charCodeAt(text.length-1) === 13)
+					text = text.slice(0, -1);
+				var rowLines = [];
+				var rows = parseCSV(text, rowLines, nextLine, format.delimiter, format.comment);
+				for (var r = 0; r < rows.length; r++) {
+					data_arr.push(rows[r]);
+					lines.push(rowLines[r]);
+				}
+				nextLine += (text.match(/\r\n|\r|\n/g) || []).length + 1;
+				pending = pending.slice(end + 1);
+			};
+
+			fetch(path).then(function(response) {
+				if (!response.ok && response.status !== 0) {
+					self.postMessage({type: 'requestError'});
+					return;
+				}
+				var total = Number(response.headers.get('Content-Length')) || undefined;
+				var decoder = new TextDecoder();
+				var compressed = false;
+
+				var finish = function() {
+					parsePending(true);
+					var result = format.typesRow ? readTypesRow(data_arr, lines, types, file) : {types: types, issues: []};
+					var issues = result.issues.concat(validateData(data_arr, lines, file));
+					if (issues.some(function(issue) {return issue.severity === 'error';}))
+						self.postMessage({type: 'dataError', issues: issues});
+					else {
+						var model = buildModel(data_arr, filter, result.types);
+						self.postMessage({
+							type: 'done',
+							model: model,
+							issues: issues,
+							types: result.types,
+							compressed: compressed,
+							contentLength: response.headers.get('Content-Length'),
+							eTag: response.headers.get('ETag'),
+							lastModified: response.headers.get('Last-Modified')
+						}, getModelBuffers(model));
+					}
+				};
+
+				//Browsers without streaming responses get the whole file at once
+				//(Compressed files are left to the main thread)
+				if (!response.body || !response.body.getReader) {
+					return response.arrayBuffer().then(function(buffer) {
+						var bytes = new Uint8Array(buffer);
+						if (bytes[0] === 0x1f && bytes[1] === 0x8b) {
+							self.postMessage({type: 'unsupported'});
+							return;
+						}
+						pending = decoder.decode(bytes);
+						finish();
+					});
+				}
+
+				var reader = response.body.getReader();
+				//Add each chunk of the (decompressed) file to the pending text
+				var handleChunk = function(result) {
+					if (result.done) {
+						pending += decoder.decode();
+						finish();
+						return;
+					}
+					if (!compressed)
+						loaded += result.value.length;
+					pending += decoder.decode(result.value, {stream: true});
+					if (pending.length >= chunkSize) {
+						parsePending(false);
+						self.postMessage({type: 'progress', progress: {
+							loaded: loaded,
+							total: total,
+							rows: Math.max(data_arr.length-1, 0)
+						}});
+					}
+					return read();
+				};
+				var read = function() {
+					return reader.read().then(handleChunk);
+				};
+				//The first chunk shows whether the file is gzip-compressed. If it is, the rest of
+				//the file is read through a DecompressionStream
+				return reader.read().then(function(first) {
+					if (first.done || !(first.value[0] === 0x1f && first.value[1] === 0x8b))
+						return handleChunk(first);
+					if (typeof DecompressionStream === 'undefined' || typeof ReadableStream === 'undefined') {
+						reader.cancel();
+						self.postMessage({type: 'unsupported'});
+						return;
+					}
+					compressed = true;
+					var compressedReader = reader;
+					reader = new ReadableStream({
+						start: function(controller) {
+							loaded += first.value.length;
+							controller.enqueue(first.value);
+						},
+						pull: function(controller) {
+							return compressedReader.read().then(function(result) {
+								if (result.done)
+									controller.close();
+								else {
+									loaded += result.value.length;
+									controller.enqueue(result.value);
+								}
+							});
+						}
+					}).pipeThrough(new DecompressionStream('gzip')).getReader();
+					return read();
+				});
+			}).catch(function() {
+				self.postMessage({type: 'requestError'});
+			});
+		};
+	}
+
 	/**
 	 * Get a value from 0 to 1 reprsenting where val lies between min and max
 	 */
@@ -438,33 +4347,57 @@
 	/**
 	* Parse the text of a csv file into a 2 dimensional array.
 	* Distinguishes between empty strings and undefined values
+	* (Must not depend on anything outside of this function, so that it can be used in a worker)
 	*
 	* Based on example code from Ben Nadel
 	* https://www.bennadel.com/blog/1504-ask-ben-parsing-csv-strings-with-javascript-exec-regular-expression-command.htm
+	* @param {string} csvText - The text of the file
+	* @param {number[]} lines - An array to add the line that each row starts on to (optional)
+	* @param {number} firstLine - The line the text starts on (defaults to 1)
+	* @param {string} separator - The character between values (defaults to ',')
+	* @param {string} comment - Lines starting with this are skipped (optional)
 	*/
-	var parseCSV = function(csvText) {
-		//               (delimiter)     (quoted value)           (value)
-		var csvRegex = /(\,|\r?\n|\r|^)(?:"([^"]*(?:""[^"]*)*)"|([^\,\r\n]*))/gi;
+	var parseCSV = function(csvText, lines, firstLine, separator, comment) {
+		separator = separator || ',';
+		var escaped = separator.replace(/[\\^$.*+?()[\]{}|\/-]/g, '\\$&');
+		//                      (delimiter)                         (quoted value)                 (value)
+		var csvRegex = new RegExp('(' + escaped + '|\\r?\\n|\\r|^)(?:"([^"]*(?:""[^"]*)*)"|([^' + escaped + '\\r\\n]*))', 'gi');
 		var data = [];
 		var matches;
+		var line = firstLine || 1;
 		//If text is empty, stop now. Otherwise will get caught in infinite loop
 		if (csvText === "")
 			return data;
 		while (matches = csvRegex.exec(csvText)) {
-			//Newline,beginning of string, or a comma
+			//Newline,beginning of string, or a separator
 			var delimiter = matches[1];
 			//If the value is in quotes, it will be here (without the outside quotes)
 			var quotedValue = matches[2];
 			//If the value wasn't in quotes, it will be here
 			var value = matches[3];
 	
-			//If the deilimiter is not a comma (meaning its a new line),
+			//If the deilimiter is not a separator (meaning its a new line),
 			//add a row to the data
-			if (delimiter != ',')
+			if (delimiter != separator) {
+				if (delimiter !== '')
+					line++;
+				//Skip comment lines (up to the line break at their end)
+				var start = matches.index + delimiter.length;
+				if (comment && csvText.startsWith(comment, start)) {
+					var end = csvText.slice(start).search(/\r|\n/);
+					csvRegex.lastIndex = end === -1 ? csvText.length : start + end;
+					continue;
+				}
 				data.push([]);
+				if (lines)
+					lines.push(line);
+			}
 			//If a quoted value, escape any pairs of quotes and add to data
-			if (quotedValue !== undefined)
+			//(quoted values may contain line breaks)
+			if (quotedValue !== undefined) {
+				line += (quotedValue.match(/\r\n|\r|\n/g) || []).length;
 				data[data.length-1].push(quotedValue.replace(/""/g,"\""));
+			}
 			//If an unquoted value, escape any pairs of quotes add to data, or undefined if empty
 			else
 				data[data.length-1].push(value === "" ? undefined : value.replace(/""/g,"\""));
@@ -472,89 +4405,265 @@
 		//If the last line is a single, undefined value (caused by a stray newline at the end of the file), remove it.
 		if (data.length > 1 && data[data.length-1].length == 1 && data[data.length-1][0] === undefined) {
 			data = data.slice(0,data.length-1);
+			if (lines)
+				lines.pop();
 		}
 		return data;
 	}
 
 	/**
-	 * Check for critical errors in the given data.
-	 * Returns an error message if an error was found.
-	 * Doesn't return anything if no errors were found.
+	 * Write a 2 dimensional array as the text of a csv file (the opposite of parseCSV()).
+	 * Undefined values are left empty and values are quoted where needed.
 	 */
-	var checkErrors = function(data) {
-		//Check that there are at least two lines of data
+	var toCSVText = function(data_arr) {
+		return data_arr.map(function(row) {
+			return row.map(function(value) {
+				if (value === undefined)
+					return '';
+				if (value === '' || /[",\r\n]/.test(value))
+					return '"' + value.replace(/"/g, '""') + '"';
+				return value;
+			}).join(',');
+		}).join('\n') + '\n';
+	};
+
+	/**
+	 * Read the types of the dimensions from the second header row of a data file (see the
+	 * typesRow option) and remove the row from the data.
+	 * Returns an object with the 'types' to use for the dimensions (the given types take
+	 * precedence over those in the row) and any 'issues' with the row. Dimensions with an empty
+	 * type have their types inferred.
+	 * (Must not depend on anything outside of this function other than DIMENSION_TYPE,
+	 * so that it can be used in a worker)
+	 * @param {string[][]} data - The data (including the header row)
+	 * @param {number[]} lines - The line in the file that each row starts on (optional)
+	 * @param {Object} types - The types given for dimensions (see getTypeOverrides())
+	 * @param {string} file - The name of the file the data came from
+	 */
+	var readTypesRow = function(data, lines, types, file) {
+		var result = {types: Object.assign({}, types), issues: []};
 		if (data.length < 2)
-			return "The first and second lines in the file are required.";
+			return result;
+		var row = data.splice(1, 1)[0];
+		var line = lines ? lines.splice(1, 1)[0] : undefined;
+		data[0].forEach(function(d, c) {
+			var name = row[c];
+			if (name === undefined || name === '')
+				return;
+			var type = DIMENSION_TYPE[name.toUpperCase()];
+			if (type === undefined)
+				result.issues.push({
+					severity: 'warning',
+					code: 'UNKNOWN_TYPE',
+					message: "Unknown type '"+name+"' for dimension '"+d+"'. It will be inferred from the data instead.",
+					file: file,
+					line: line,
+					column: c+1,
+					dimension: d
+				});
+			else if (types[d] === undefined)
+				result.types[d] = type;
+		});
+		return result;
+	};
+
+	/**
+	 * Check the given data (parsed from data.csv) for problems.
+	 * Returns an array of all the issues found (see CINEMA_COMPONENTS.ValidationReport).
+	 * Issues with a severity of 'error' mean the data cannot be used.
+	 * (Must not depend on anything outside of this function, so that it can be used in a worker)
+	 * @param {string[][]} data - The data (including the header row)
+	 * @param {number[]} lines - The line in the file that each row starts on (optional)
+	 * @param {string} file - The name of the file the data came from (defaults to 'data.csv')
+	 */
+	var validateData = function(data, lines, file) {
+		var issues = [];
+		file = file || 'data.csv';
+		var issue = function(severity, code, message, row, column, dimension) {
+			issues.push({
+				severity: severity,
+				code: code,
+				message: message,
+				file: file,
+				line: (lines && row !== undefined) ? lines[row] : undefined,
+				column: column !== undefined ? column+1 : undefined,
+				dimension: dimension
+			});
+		};
+
+		//Check that there are at least two lines of data
+		if (data.length < 2) {
+			issue('error', 'FILE_TOO_SHORT', "The first and second lines in the file are required.");
+			return issues;
+		}
 
 		//Check that there at least two dimensions to the data
-		if (data[0].length < 2)
-			return "The dataset must include at least two dimensions";
+		var header = data[0];
+		if (header.length < 2)
+			issue('error', 'TOO_FEW_DIMENSIONS', "The dataset must include at least two dimensions.", 0);
 
-		//Check that there are no empty values in the first row
-		var emptyValFound = false;
-		for (var i in data[0])
-			emptyValFound = emptyValFound || (data[0][i] === undefined);
-		if (emptyValFound)
-			return "Empty values may not occur in the header (first line).";
+		//Check that there are no empty or repeated values in the header
+		var seen = {};
+		header.forEach(function(d, i) {
+			if (d === undefined || d.trim() === '')
+				issue('error', 'EMPTY_HEADER', "Empty values may not occur in the header (first line).", 0, i);
+			else if (seen[d])
+				issue('warning', 'DUPLICATE_HEADER', "Dimension '"+d+"' occurs more than once in the header. "+
+					"Only the last column with this name will be used.", 0, i, d);
+			seen[d] = true;
+		});
 
 		//Check that all rows of data have the same length
-		var testLength = data[0].length;
-		for (var i in data)
-			if (data[i].length != testLength)
-				return "Each line must have an equal number of comma separated values (columns).";
+		for (var i = 1; i < data.length; i++)
+			if (data[i].length != header.length)
+				issue('error', 'RAGGED_ROW', "Line has "+data[i].length+" values but the header has "+
+					header.length+". Each line must have an equal number of comma separated values (columns).", i);
+
+		//Check each column
+		var isMissing = function(value) {
+			return value === undefined || value.trim() === '';
+		};
+		var isNumber = function(value) {
+			return !isNaN(value) || value.trim().toLowerCase() === 'nan';
+		};
+		for (var c = 0; c < header.length; c++) {
+			var dimension = header[c];
+			if (isMissing(dimension))
+				continue;
+			var defined = false, blank = false;
+			var numbers = 0, text = 0;
+			var firstNumber = undefined, firstText = undefined;
+			for (var i = 1; i < data.length; i++) {
+				var value = data[i][c];
+				if (isMissing(value)) {
+					blank = blank || value !== undefined;
+					continue;
+				}
+				defined = true;
+				if (isNumber(value)) {
+					numbers++;
+					if (firstNumber === undefined)
+						firstNumber = i;
+				}
+				else {
+					text++;
+					if (firstText === undefined)
+						firstText = i;
+				}
+			}
+
+			//Columns with no values (a column that is entirely undefined cannot be loaded,
+			//but one with only blank values like "" or " " can, as it always could be)
+			if (!defined) {
+				if (blank)
+					issue('warning', 'BLANK_COLUMN', "Dimension '"+dimension+"' has only blank values.", undefined, c, dimension);
+				else
+					issue('error', 'EMPTY_COLUMN', "Dimension '"+dimension+"' has no values. "+
+						"There cannot be any columns with all undefined values.", undefined, c, dimension);
+				continue;
+			}
+
+			//Columns with both numbers and text
+			//(points to the first value of whichever kind is less common)
+			if (numbers > 0 && text > 0) {
+				var odd = numbers >= text ? firstText : firstNumber;
+				issue('warning', 'MIXED_TYPES', "Dimension '"+dimension+"' has "+numbers+" number(s) and "+text+
+					" text value(s). The value '"+data[odd][c]+"' is not like most of the values in this column.",
+					odd, c, dimension);
+			}
 
-		//Check that no colummns have all undefined values
-		for (var i = 0; i < data[0].length; i++) {
-			var allEmpty = true;
-			for (var j = 0; j < data.length; j++)
-				allEmpty = allEmpty && (data[j][i] === undefined);
-			if (allEmpty)
-				return "There cannot be any columns with all undefined values.";
+			//FILE columns should hold paths relative to the database directory
+			if (/^FILE/.test(dimension)) {
+				for (var i = 1; i < data.length; i++) {
+					var path = data[i][c];
+					if (path === undefined)
+						continue;
+					if (isMissing(path))
+						issue('warning', 'MISSING_FILE', "No file is given for dimension '"+dimension+"'.",
+							i, c, dimension);
+					else if (/^[a-z][a-z0-9+.\-]*:\/\//i.test(path))
+						continue; //URLs are allowed
+					else if (/^\/|^[a-z]:/i.test(path))
+						issue('warning', 'ABSOLUTE_FILE_PATH', "File path '"+path+"' is absolute. "+
+							"File paths should be relative to the database directory.", i, c, dimension);
+					else if (/\\/.test(path))
+						issue('warning', 'INVALID_FILE_PATH', "File path '"+path+"' contains backslashes. "+
+							"Use '/' to separate directories.", i, c, dimension);
+					else if (/(^|\/)\.\.(\/|$)/.test(path))
+						issue('warning', 'INVALID_FILE_PATH', "File path '"+path+"' points outside "+
+							"of the database directory.", i, c, dimension);
+				}
+			}
 		}
+
+		return issues;
 	}
 
 	/**
-	 * Check for critical errors in the given axis data
-	 * Checks against the given list of dimensions
-	 * Returns an error message if an error was found.
-	 * Doesn't return anything if no errors were found
+	 * Check the given axis data (parsed from axis_order.csv) for problems.
+	 * Checks against the given list of dimensions.
+	 * Returns an array of all the issues found (see CINEMA_COMPONENTS.ValidationReport).
+	 * Issues with a severity of 'error' mean the axis data cannot be used.
+	 * @param {string[][]} data - The axis data (including the header row)
+	 * @param {string[]} dimensions - The dimensions in the database
+	 * @param {number[]} lines - The line in the file that each row starts on (optional)
 	 */
-	var checkAxisDataErrors = function(data, dimensions) {
+	var validateAxisOrderData = function(data, dimensions, lines) {
+		var issues = [];
+		var issue = function(code, message, row, column, dimension) {
+			issues.push({
+				severity: 'error',
+				code: code,
+				message: message,
+				file: 'axis_order.csv',
+				line: (lines && row !== undefined) ? lines[row] : undefined,
+				column: column !== undefined ? column+1 : undefined,
+				dimension: dimension
+			});
+		};
+
 		//Check that there are at least two lines of data
-		if (data.length < 2)
-			return "The first and second lines in the file are required.";
+		if (data.length < 2) {
+			issue('FILE_TOO_SHORT', "The first and second lines in the file are required.");
+			return issues;
+		}
 
 		//Check that all rows of data have the same length
 		var testLength = data[0].length;
-		for (var i in data)
+		for (var i = 1; i < data.length; i++)
 			if (data[i].length != testLength)
-				return "Each line must have an equal number of comma separated values (columns).";
-
-		/*//Check that there are dimensions+2 columns (+2 for category and value columns)
-		if (data[0].length !== dimensions.length+2)
-			return "All dimensions must be specified in the header of the file."*/
+				issue('RAGGED_ROW', "Line has "+data[i].length+" values but the header has "+testLength+
+					". Each line must have an equal number of comma separated values (columns).", i);
 
 		//Check that each dimension in the header is valid
 		for (var i = 2; i < data[0].length; i++) {
 			if (!dimensions.includes(data[0][i]))
-				return "Dimension in axis order file '"+data[0][i]+"' is not valid";
+				issue('UNKNOWN_DIMENSION', "Dimension '"+data[0][i]+"' is not in the database.",
+					0, i, data[0][i]);
 		}
 
-		//Check that the first two columns contain to undefined values
+		//Check that the first two columns contain no undefined values
 		for (var i = 0; i < data.length; i++) {
 			if (data[i][0] === undefined)
-				return "Category cannot be undefined."
+				issue('MISSING_CATEGORY', "Category cannot be undefined.", i, 0);
 			if (data[i][1] === undefined)
-				return "Value cannot be undefined."
+				issue('MISSING_VALUE', "Value cannot be undefined.", i, 1);
 		}
 
 		//Check that all other data are numbers
 		for (var i = 1; i < data.length; i++) {
 			for (var j = 2; j < data[i].length; j++) {
 				if (isNaN(data[i][j]) && data[i][j] !== undefined)
-					return "Values for dimensions cannot be NaN."
+					issue('INVALID_NUMBER', "Value '"+data[i][j]+"' for dimension '"+data[0][j]+
+						"' is not a number.", i, j, data[0][j]);
 			}
 		}
+
+		return issues;
 	}
 
+	//Export as a module when loaded in Node
+	if (typeof module !== 'undefined' && module.exports)
+		module.exports = CINEMA_COMPONENTS;
+
 })();
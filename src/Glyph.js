@@ -81,16 +81,9 @@
 		 */
 		this.scales = {};
 		this.dimensions.forEach(function(d) {
-			//Create point scale for string dimensions
-			if (self.db.isStringDimension(d))
-				self.scales[d] = d3.scalePoint()
-					.domain(self.db.dimensionDomains[d])
-					.range([self.radius-self.innerMargin,0]);
-			//Create linear scale for numeric dimensions
-			else
-				self.scales[d] = d3.scaleLinear()
-					.domain(self.db.dimensionDomains[d])
-					.range([self.radius-self.innerMargin,0]);
+			self.scales[d] = self.createScale(d)
+				.domain(self.db.dimensionDomains[d])
+				.range([self.radius-self.innerMargin,0]);
 		});
 
 		/***************************************
@@ -123,10 +116,14 @@
 			.enter().append('g')
 				.classed('label',true)
 				.attr('transform',function(d){return self.getAxisTransform(d);});
+		//Add description (if there is one) as a tooltip
+		this.labels.filter(function(d){return self.db.getDimensionMetadata(d).description !== undefined;})
+			.append('title')
+			.text(function(d){return self.db.getDimensionMetadata(d).description;});
 		//Add label text
 		this.labels.append('text')
 			.style('text-anchor','middle')
-			.text(function(d){return d;})
+			.text(function(d){return self.db.getDimensionLabel(d);})
 			.attr('transform',function(d) {
 				return "translate(0 -15) "
 					+"rotate("+self.getTextRotation(d)+")";
@@ -151,7 +148,7 @@
 		this.axes.append('g')
 			.classed('axis',true)
 			.each(function(d) {
-				d3.select(this).call(d3.axisLeft().scale(self.scales[d]));
+				d3.select(this).call(d3.axisLeft().scale(self.scales[d]).tickFormat(self.db.getDimensionFormat(d)));
 				d3.select(this).selectAll('text')
 					.style('text-anchor','end')
 					.attr('transform',"rotate("+self.getTextRotation(d)+" -15 0)");
@@ -234,7 +231,7 @@
 		this.axes.attr('transform',function(d){return self.getAxisTransform(d);})
 		//Rebuild axes
 		.each(function(d) {
-			d3.select(this).select('.axis').call(d3.axisLeft().scale(self.scales[d]));
+			d3.select(this).select('.axis').call(d3.axisLeft().scale(self.scales[d]).tickFormat(self.db.getDimensionFormat(d)));
 		});
 
 		//Re-tranform labels
@@ -258,12 +255,36 @@
 
 		//Rebuild axes
 		this.axes.each(function(d) {
-			d3.select(this).select('.axis').call(d3.axisLeft().scale(self.scales[d]));
+			d3.select(this).select('.axis').call(d3.axisLeft().scale(self.scales[d]).tickFormat(self.db.getDimensionFormat(d)));
 		});
 
 		this.redraw();
 	}
 
+	/**
+	 * Override handleDataUpdate() to keep the selected data point on the same row
+	 * (or the closest remaining row, if it was removed)
+	 */
+	CINEMA_COMPONENTS.Glyph.prototype.handleDataUpdate = function(updateInfo) {
+		var selected = CINEMA_COMPONENTS.Component.remapIndices([this.selected], updateInfo);
+		this.selected = selected.length ? selected[0] : Math.max(0, Math.min(this.selected, this.db.getRowCount()-1));
+		this.updateData();
+	}
+
+	/**
+	 * Override linkSelectionModel() to show the model's focused row
+	 * (the glyph keeps showing the last focused row when the focus is cleared)
+	 */
+	CINEMA_COMPONENTS.Glyph.prototype.linkSelectionModel = function(model) {
+		var self = this;
+		model.dispatch.on('focuschange.component'+this.componentId, function(index) {
+			if (index !== null)
+				self.setSelected(index);
+		});
+		if (model.focus !== null)
+			this.setSelected(model.focus);
+	}
+
 	/**
 	 * Set the selected data point to the one with the given index
 	 */
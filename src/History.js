@@ -0,0 +1,280 @@
+'use strict';
+(function() {
+	/**
+	 * CINEMA_COMPONENTS
+	 * HISTORY
+	 *
+	 * The History module for the CINEMA_COMPONENTS library.
+	 * Contains the constructor for History objects, which keep an undo/redo
+	 * history of the view state of a set of components (such as the brushes and
+	 * axis order of a Pcoord component)
+	 *
+	 * @exports CINEMA_COMPONENTS
+	 */
+
+	//If CINEMA_COMPONENTS is already defined, add to it, otherwise create it
+	var CINEMA_COMPONENTS = {}
+	if (window.CINEMA_COMPONENTS)
+		CINEMA_COMPONENTS = window.CINEMA_COMPONENTS;
+	else
+		window.CINEMA_COMPONENTS = CINEMA_COMPONENTS;
+
+	//Require that the Component module be included
+	if (!CINEMA_COMPONENTS.COMPONENT_INCLUDED)
+		throw new Error("CINEMA_COMPONENTS History module requires that Component"+
+			" module be included. Please make sure that Component module"+
+			" is included BEFORE History module");
+
+	//Require that d3 be included
+	if (!window.d3) {
+		throw new Error("CINEMA_COMPONENTS History module requires that"+
+		" d3 be included (at least d3v4). Please make sure that d3 is included BEFORE the"+
+		" the History module");
+	}
+
+	/** @type {boolean} - Flag to indicate that the History module has been included */
+	CINEMA_COMPONENTS.HISTORY_INCLUDED = true;
+
+	/** @type {number} - The number of histories created (used to give each a unique id) */
+	var historyCount = 0;
+
+	/**
+	 * Constructor for History
+	 * Keeps an undo/redo history of the view state of the given components.
+	 * A new entry is recorded whenever one of the components triggers its 'viewstatechange'
+	 * event (when the user finishes changing its view) or record() is called.
+	 * Each entry holds the view state (see Component.getViewState()) of every component, and
+	 * undoing or redoing returns all of them to it.
+	 * @param {CINEMA_COMPONENTS.Component[]} components - The components to keep the history of
+	 *     (more can be added later with track())
+	 * @param {Object} options - Options for the history (optional):
+	 *     limit {number}: The most entries to keep (defaults to 100)
+	 *     keyboardShortcuts {boolean}: Whether to undo with Ctrl+Z (Cmd+Z on Mac) and redo with
+	 *         Ctrl+Shift+Z or Ctrl+Y (Cmd+Shift+Z) (defaults to true)
+	 *     keyTarget {DOM}: The element to listen for keyboard shortcuts on (defaults to document)
+	 */
+	CINEMA_COMPONENTS.History = function(components, options) {
+		var self = this;
+		options = options || {};
+
+		/** @type {number} A unique id for this history (used to name its event handlers) */
+		this.historyId = historyCount++;
+		/** @type {CINEMA_COMPONENTS.Component[]} The components whose view state is kept */
+		this.components = [];
+		/** @type {Object[]} The entries in the history (oldest first). Each entry has the view state of
+		 * each component ('states', keyed by componentId) and the time it was recorded ('time') */
+		this.entries = [{states: {}, time: new Date()}];
+		/** @type {number} The index of the current entry in entries */
+		this.position = 0;
+		/** @type {number} The most entries to keep (the oldest are dropped) */
+		this.limit = options.limit !== undefined ? options.limit : 100;
+		/** @type {boolean} True while the components are being returned to an entry
+		 * (so that their changes are not recorded as new entries) */
+		this.restoring = false;
+
+		/** @type {d3.dispatch} Hook for events on the history
+		 * Set handlers with on() function. Ex: this.dispatch.on('change',handlerFunction(history))
+		 * 'record': Triggered when a new entry is recorded (called with the entry)
+		 * 'undo': Triggered when a change is undone (called with the entry that was returned to)
+		 * 'redo': Triggered when a change is redone (called with the entry that was returned to)
+		 * 'change': Triggered after any of the above or clear(), when canUndo() or canRedo() may
+		 *     have changed (called with the history)
+		 */
+		this.dispatch = d3.dispatch('record','undo','redo','change');
+
+		/** @type {DOM} The element keyboard shortcuts are listened for on (if they are enabled) */
+		this.keyTarget = options.keyboardShortcuts === false ? null : (options.keyTarget || document);
+		if (this.keyTarget) {
+			d3.select(this.keyTarget).on('keydown.history'+this.historyId, function() {
+				handleKeyDown(self, d3.event);
+			});
+		}
+
+		(components || []).forEach(function(component) {
+			self.track(component);
+		});
+	};
+
+	/**
+	 * Start keeping the history of the given component's view state.
+	 * Its current state is added to the current entry.
+	 * @param {CINEMA_COMPONENTS.Component} component - The component
+	 * @throws {Error} If the component has no view state (it does not implement getViewState())
+	 */
+	CINEMA_COMPONENTS.History.prototype.track = function(component) {
+		var self = this;
+		if (component.getViewState === CINEMA_COMPONENTS.Component.prototype.getViewState)
+			throw new Error("Cannot keep the history of a component without a view state.");
+		if (this.components.includes(component))
+			return;
+		this.components.push(component);
+		this.entries[this.position].states[component.componentId] = component.getViewState();
+		component.dispatch.on('viewstatechange.history'+this.historyId, function() {
+			if (!self.restoring)
+				self.record();
+		});
+	};
+
+	/**
+	 * Stop keeping the history of the given component's view state.
+	 * Its states are left in the entries, but no longer returned to.
+	 * @param {CINEMA_COMPONENTS.Component} component - The component
+	 */
+	CINEMA_COMPONENTS.History.prototype.untrack = function(component) {
+		var index = this.components.indexOf(component);
+		if (index === -1)
+			return;
+		this.components.splice(index, 1);
+		component.dispatch.on('viewstatechange.history'+this.historyId, null);
+	};
+
+	/**
+	 * Record the current view state of the components as a new entry (if it differs from the
+	 * current entry). Any entries that were undone are dropped.
+	 * This is called automatically when a component triggers its 'viewstatechange' event, but
+	 * should be called after changing a component's view programmatically (e.g. with
+	 * Pcoord's setSelection()) for the change to be undoable.
+	 */
+	CINEMA_COMPONENTS.History.prototype.record = function() {
+		var entry = {states: getStates(this), time: new Date()};
+		if (statesEqual(entry.states, this.entries[this.position].states))
+			return;
+		this.entries.splice(this.position+1);
+		this.entries.push(entry);
+		//Drop the oldest entries past the limit
+		if (this.entries.length > Math.max(1, this.limit))
+			this.entries.splice(0, this.entries.length - Math.max(1, this.limit));
+		this.position = this.entries.length-1;
+		this.dispatch.call('record', this, entry);
+		this.dispatch.call('change', this, this);
+	};
+
+	/**
+	 * Undo the last change, returning the components to the previous entry.
+	 * Returns false if there was nothing to undo.
+	 */
+	CINEMA_COMPONENTS.History.prototype.undo = function() {
+		if (!this.canUndo())
+			return false;
+		this.position--;
+		restore(this, this.entries[this.position]);
+		this.dispatch.call('undo', this, this.entries[this.position]);
+		this.dispatch.call('change', this, this);
+		return true;
+	};
+
+	/**
+	 * Redo the last change that was undone, returning the components to the next entry.
+	 * Returns false if there was nothing to redo.
+	 */
+	CINEMA_COMPONENTS.History.prototype.redo = function() {
+		if (!this.canRedo())
+			return false;
+		this.position++;
+		restore(this, this.entries[this.position]);
+		this.dispatch.call('redo', this, this.entries[this.position]);
+		this.dispatch.call('change', this, this);
+		return true;
+	};
+
+	/**
+	 * Whether there is a change to undo
+	 */
+	CINEMA_COMPONENTS.History.prototype.canUndo = function() {
+		return this.position > 0;
+	};
+
+	/**
+	 * Whether there is an undone change to redo
+	 */
+	CINEMA_COMPONENTS.History.prototype.canRedo = function() {
+		return this.position < this.entries.length-1;
+	};
+
+	/**
+	 * Clear the history, leaving only an entry for the current view state of the components
+	 */
+	CINEMA_COMPONENTS.History.prototype.clear = function() {
+		this.entries = [{states: getStates(this), time: new Date()}];
+		this.position = 0;
+		this.dispatch.call('change', this, this);
+	};
+
+	/**
+	 * Stop keeping the history (removes the handlers on the components and the keyTarget)
+	 */
+	CINEMA_COMPONENTS.History.prototype.destroy = function() {
+		var self = this;
+		this.components.slice().forEach(function(component) {
+			self.untrack(component);
+		});
+		if (this.keyTarget)
+			d3.select(this.keyTarget).on('keydown.history'+this.historyId, null);
+	};
+
+	/**
+	 * Get the current view state of each tracked component, keyed by componentId
+	 * @param {CINEMA_COMPONENTS.History} self - The history
+	 */
+	var getStates = function(self) {
+		var states = {};
+		self.components.forEach(function(component) {
+			states[component.componentId] = component.getViewState();
+		});
+		return states;
+	};
+
+	/**
+	 * Check if two sets of view states (from getStates()) are the same
+	 * @param {Object} a - The first set of states
+	 * @param {Object} b - The second set of states
+	 */
+	var statesEqual = function(a, b) {
+		return JSON.stringify(a) === JSON.stringify(b);
+	};
+
+	/**
+	 * Return the tracked components to their view states in the given entry
+	 * (components without a state in the entry, because they were tracked after it was
+	 * recorded, are left as they are)
+	 * @param {CINEMA_COMPONENTS.History} self - The history
+	 * @param {Object} entry - The entry
+	 */
+	var restore = function(self, entry) {
+		self.restoring = true;
+		try {
+			self.components.forEach(function(component) {
+				var state = entry.states[component.componentId];
+				if (state !== undefined)
+					component.setViewState(state);
+			});
+		}
+		finally {
+			self.restoring = false;
+		}
+	};
+
+	/**
+	 * Undo or redo for the keyboard shortcuts. Shortcuts are left alone while typing in a
+	 * text field, so that they undo the typing instead.
+	 * @param {CINEMA_COMPONENTS.History} self - The history
+	 * @param {KeyboardEvent} event - The keydown event
+	 */
+	var handleKeyDown = function(self, event) {
+		var target = event.target;
+		if (target && (target.isContentEditable || /^textarea$/i.test(target.tagName) ||
+			(/^input$/i.test(target.tagName) && /^(text|search|number|email|url|password|tel)$/i.test(target.type))))
+			return;
+		if (!(event.ctrlKey || event.metaKey) || event.altKey)
+			return;
+		var key = event.key ? event.key.toLowerCase() : '';
+		var handled;
+		if (key === 'z' && !event.shiftKey)
+			handled = self.undo();
+		else if ((key === 'z' && event.shiftKey) || (key === 'y' && event.ctrlKey && !event.shiftKey))
+			handled = self.redo();
+		if (handled)
+			event.preventDefault();
+	};
+
+})();
@@ -120,8 +120,11 @@
 		 * Set handlers with on() function. Ex: this.dispatch.on('mouseover',handlerFunction(i))
 		 * 'mouseover': Triggered when a set of images is moused over
 		 *	 (arguments are the index of moused over data and mouse event)
+		 * 'viewstatechange': Triggered when the user changes the view state with the controls
+		 *	 (sorting, page size, image size or page)
+		 *	 (argument is the new view state, see getViewState())
 		 */
-		this.dispatch = d3.dispatch('mouseover');
+		this.dispatch = d3.dispatch('mouseover', 'viewstatechange');
 
 		/***************************************
 		 * DOM Content
@@ -171,6 +174,7 @@
 			.on('change', function() {
 				self.updatePageNav();
 				self.populateResults();
+				self.dispatch.call('viewstatechange', self, self.getViewState());
 			})
 			.node();
 		//append options
@@ -200,6 +204,7 @@
 			.on('change', function() {
 				self.selection.sort(self.getSortComparator());
 				self.populateResults();
+				self.dispatch.call('viewstatechange', self, self.getViewState());
 			})
 			.node();
 		//append options
@@ -229,6 +234,7 @@
 			.on('change', function() {
 				self.selection.sort(self.getSortComparator());
 				self.populateResults();
+				self.dispatch.call('viewstatechange', self, self.getViewState());
 			})
 			.node();
 
@@ -246,6 +252,7 @@
 				.on('change', function() {
 					self.selection.sort(self.getSortComparator());
 					self.populateResults();
+					self.dispatch.call('viewstatechange', self, self.getViewState());
 				})
 				.node();
 
@@ -268,6 +275,9 @@
 				d3.select(self.container).select('.controlPanel.imageSize .label')
 					.text("Image Size: " + this.value + "px");
 			})
+			.on('change', function() {
+				self.dispatch.call('viewstatechange', self, self.getViewState());
+			})
 			.node();
 		this.imageSizeNode.value = 150;
 
@@ -304,6 +314,40 @@
 		this.populateResults();
 	}
 
+	/**
+	 * Override updateAnnotations() to redraw the tags and notes on each set of images
+	 */
+	CINEMA_COMPONENTS.ImageSpread.prototype.updateAnnotations = function() {
+		this.populateResults();
+	}
+
+	/**
+	 * Should be called whenever the data in the associated database changes.
+	 * Will sort the selection again and redraw the images.
+	 */
+	CINEMA_COMPONENTS.ImageSpread.prototype.updateData = function() {
+		if (this.hasFileDimensions)
+			this.setSelection(this.selection);
+	}
+
+	/**
+	 * Override linkSelectionModel() to publish the images under the mouse (as the highlighted rows)
+	 * and to show the images of the model's selection
+	 */
+	CINEMA_COMPONENTS.ImageSpread.prototype.linkSelectionModel = function(model) {
+		var self = this;
+		this.dispatch.on('mouseover.selectionModel'+model.modelId, function(index) {
+			model.setHighlighted(index === null || index === undefined ? [] : [index]);
+		});
+
+		if (!this.hasFileDimensions)
+			return;
+		model.dispatch.on('selectionchange.component'+this.componentId, function(selection) {
+			self.setSelection(selection);
+		});
+		this.setSelection(model.selection.slice());
+	}
+
 	/**
 	 * Get a comparator function for sorting the selection
 	 * according to selected sort dimension and the sortOrder checkbox
@@ -392,6 +436,23 @@
 				.on('mouseleave', function(d) {
 					self.dispatch.call('mouseover', self, null, d3.event);
 				})
+				//Show the tags (and note) of each data display
+				.each(function(d) {
+					var tags = d3.select(this).selectAll('.tags').data([d]);
+					tags = tags.enter().insert('div', ':first-child')
+						.classed('tags', true)
+						.merge(tags)
+						.attr('title', self.db.getNote(d) || null);
+					var badges = tags.selectAll('.tag').data(self.db.getTags(d));
+					badges.exit().remove();
+					badges.enter().append('span')
+						.classed('tag', true)
+						.merge(badges)
+						.text(function(tag) {return tag;})
+						.style('background-color', function(tag, i) {
+							return i === 0 ? self.getTagColor(d) : (self.tagColors[tag] || null);
+						});
+				})
 				//For each data display, create file displays for every file in it
 				.each(function(d) {
 					var files = self.dimensions.map(function(dimension) {
@@ -410,6 +471,7 @@
 						//Create content of each file display
 						.each(function(f, i) {
 							d3.select(this).select('.display').html('');
+							var path = self.db.getFilePath(d, self.dimensions[i]);
 							//Create an image in the display if the it is an image filetype
 							var ext = getFileExtension(f);
 							if(isValidFiletype(ext)) {
@@ -419,20 +481,20 @@
 										.classed('text', false).append('img')
 										.attr('src', 'https://kitware.github.io/vtk-js/logo.svg')
 										.attr('width', '100%')
-										.on('click', function() {self.createModalVTI(self.db.directory + '/' + f);});
+										.on('click', function() {self.createModalVTI(path);});
 								} else if(ext.toUpperCase() === 'PDB') {
 									d3.select(this).select('.display')
 										.classed('image', true)
 										.classed('text', false).append('img')
 										.attr('src', 'https://kitware.github.io/vtk-js/logo.svg')
 										.attr('width', '100%')
-										.on('click', function() {self.createModalPDB(self.db.directory + '/' + f);});
+										.on('click', function() {self.createModalPDB(path);});
 								} else {
 									d3.select(this).select('.display')
 										.classed('image', true)
 										.classed('text', false)
 										.append('img')
-										.attr('src', self.db.directory + '/' + f)
+										.attr('src', path)
 										.attr('width', '100%')
 										.on('click', self.createModalImg);
 								}
@@ -781,6 +843,7 @@
 							d3.select('.pageReadout').text(self.currentPage + " / " + numPages);
 							self.populateResults();
 						}
+						self.dispatch.call('viewstatechange', self, self.getViewState());
 					}
 				});
 			//Add readout of currentPage/totalPages
@@ -820,6 +883,37 @@
 			.text("Image Size: " + dataObject.imageSize + "px");
 	}
 
+	/**
+	 * Get the view state of the component: the state of all inputs (see getOptionsData())
+	 * and the page being viewed ('currentPage').
+	 * Returns undefined if there are no FILE dimensions.
+	 */
+	CINEMA_COMPONENTS.ImageSpread.prototype.getViewState = function() {
+		if (!this.hasFileDimensions)
+			return undefined;
+		var state = this.getOptionsData();
+		state.currentPage = this.currentPage;
+		return state;
+	}
+
+	/**
+	 * Return the component to a view state from getViewState(),
+	 * sorting the selection and showing the page again.
+	 * This will not trigger the 'viewstatechange' event.
+	 * @param {Object} state - The state to return to
+	 */
+	CINEMA_COMPONENTS.ImageSpread.prototype.setViewState = function(state) {
+		if (!this.hasFileDimensions || !state)
+			return;
+		this.setOptionsData(state);
+		this.currentPage = state.currentPage;
+		this.selection.sort(this.getSortComparator());
+		this.updatePageNav();
+		this.populateResults();
+		d3.select(this.container).selectAll('.display')
+			.style('width', state.imageSize + 'px');
+	}
+
 	/**
 	 * Given the number of pages needed and the currently selected page, return
 	 * a list of objects represented the pageNav buttons to show
@@ -172,7 +172,7 @@
 		d3.select(this.xSelect).on('input',function() {
 			self.xDimension = this.value;
 			self.prepareData();
-			self.x = (self.db.isStringDimension(self.xDimension) ? d3.scalePoint() : d3.scaleLinear())
+			self.x = self.createScale(self.xDimension)
 				.domain(self.plotData.dimensionDomain);
 			self.xAxisContainer.select('.axis')
 				.call(d3.axisBottom().scale(self.x));
@@ -532,7 +532,7 @@
 
 		/** @type {d3.scalePoint} - Scale for x axis on chart
 		 * Maps dimension value to position (in pixels) along width of chart.*/
-		this.x = (this.db.isStringDimension(this.xDimension) ? d3.scalePoint() : d3.scaleLinear())
+		this.x = this.createScale(this.xDimension)
 			.domain(self.plotData.dimensionDomain)
 			.range([this.axismargin.left,self.internalWidth - this.axismargin.right]);
 
@@ -736,6 +736,16 @@
 			.remove();
 	};
 
+	/**
+	 * Should be called whenever the data in the associated database changes.
+	 * Will recalculate the lines (keeping the shown lines the same) and redraw.
+	 */
+	CINEMA_COMPONENTS.LineChart.prototype.updateData = function() {
+		this.prepareData();
+		//(also redraws)
+		this.updateLineVisibility();
+	}
+
 	/**
 	 * Take the data from cinema DB and put it in a format readable for the plot
 	 */
@@ -743,7 +753,7 @@
 		var self = this;
 
 		//Check if non number dimensions
-		var isNonNumberDomain = isNaN(this.db.dimensionDomains[this.xDimension][0]);
+		var isNonNumberDomain = this.db.isCategoricalDimension(this.xDimension);
 
 		//Retrieve all uncertainty dimensions
 		var uncertaintyDims = [];
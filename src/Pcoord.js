@@ -70,11 +70,23 @@
 		 ***************************************/
 
 		/** @type {number[]} Indices of all currently selected data */
-		this.selection = d3.range(0,this.db.data.length);
+		this.selection = d3.range(0,this.db.getRowCount());
+		/** @type {number[]} Indices of the data selected by the brushes (the same as selection,
+		 * unless the chart is showing the selection of a SelectionModel) */
+		this.brushSelection = this.selection;
+		/** @type {CINEMA_COMPONENTS.SelectionModel} The SelectionModel the chart is attached to (if any).
+		 * While attached, the chart draws the model's selection instead of its own */
+		this.selectionModel = null;
 		/** @type {number} Indices of all currently highlighted data*/
 		this.highlighted = [];
 		/** @type {CINEMA_COMPONENTS.ExtraData[]} Custom data to overlay on chart */
 		this.overlayData = [];
+		/** @type {number} The most paths to draw. When more rows than this are selected,
+		 * only a stratified sample of them is drawn (brushing down to fewer rows draws them all) */
+		this.maxDrawnPaths = 10000;
+		/** @type {string} The dimension to stratify the sample by (see Database.getSample()),
+		 * if undefined the sample is spread evenly over the rows */
+		this.sampleStrata = undefined;
 
 		/***************************************
 		 * EVENTS
@@ -90,8 +102,11 @@
 		 *     (called with index of clicked data and reference to mouse event)
 		 * 'axisorderchange': Triggered when the axis ordering is manually changed
 		 *     (called with the list of the dimensions in the new order)
+		 * 'viewstatechange': Triggered when the user finishes changing the view state on the chart
+		 *     (by brushing, dragging an axis or choosing an axis ordering)
+		 *     (called with the new view state, see getViewState())
 		 */
-		this.dispatch = d3.dispatch("selectionchange", "mouseover", "click", "axisorderchange");
+		this.dispatch = d3.dispatch("selectionchange", "mouseover", "click", "axisorderchange", "viewstatechange");
 
 		/***************************************
 		 * SCALES
@@ -108,22 +123,7 @@
 		 * Scales for each dimension axis on the chart. One scale for each dimension */
 		this.y = {};
 		this.dimensions.forEach(function (d) {
-			//Create point scale for string dimensions
-			if (self.db.isStringDimension(d)) {
-				if (!self.y[d]) {
-					self.y[d] = d3.scalePoint();
-				}
-				self.y[d].domain(self.db.dimensionDomains[d])
-					.range([self.internalHeight,0]);
-			}
-			//Create linear scale for numeric dimensions
-			else {
-				if (!self.y[d]) {
-					self.y[d] = d3.scaleLinear();
-				}
-				self.y[d].domain(self.db.dimensionDomains[d])
-					.range([self.internalHeight-self.NaNMargin,0]);
-			}
+			updateYScale(self, d);
 		});
 
 		/***************************************
@@ -132,10 +132,13 @@
 
 		/** @type {Object (numbers)} Keeps track of the x-position of each axis currently being dragged */
 		this.dragging = {};
+		//The order of the axes when the current drag started
+		var dragStartOrder;
 
 		//Drag event handlers
 		this.axisDragStart = function(d) {
 			self.dragging[d] = self.x(d);
+			dragStartOrder = self.dimensions.slice();
 			//Reorder axes such that the one being dragged is on top
 			self.axes.sort(function(a,b) {
 				if (a == d) return 1;
@@ -150,8 +153,11 @@
 			self.dimensions.sort(function(a,b){
 				return self.getXPosition(a)-self.getXPosition(b);
 			});
-			if (!arraysEqual(oldDimensions,self.dimensions))
+			if (!arraysEqual(oldDimensions,self.dimensions)) {
+				//The order no longer matches the ordering chosen in the axis order control
+				self.axisOrderSelect.value = '';
 				self.dispatch.call('axisorderchange',self,self.dimensions);
+			}
 			self.x.domain(self.dimensions);
 			self.axes.attr('transform',function(d) {
 				return "translate("+self.getXPosition(d)+")";
@@ -165,6 +171,8 @@
 				return self.x(a) - self.x(b);
 			});
 			self.redrawPaths();
+			if (!arraysEqual(dragStartOrder,self.dimensions))
+				self.dispatch.call('viewstatechange',self,self.getViewState());
 		};
 
 		/** @type {d3.drag} */
@@ -202,7 +210,12 @@
 		this.brush = d3.brushY()
 			.extent([[-8,0],[8,this.internalHeight]])
 			.on('start', function(){d3.event.sourceEvent.stopPropagation();})
-			.on('start brush',this.axisBrush);
+			.on('start brush',this.axisBrush)
+			//Brushing by the user (not by moving brushes programmatically) changes the view state
+			.on('end',function() {
+				if (d3.event.sourceEvent && !self.dontUpdateSelectionOnBrush)
+					self.dispatch.call('viewstatechange',self,self.getViewState());
+			});
 
 		/***************************************
 		 * DOM Content
@@ -242,24 +255,159 @@
 			//disable pointer events on axisContainer so it doesn't block pathContainer
 			.style('pointer-events','none');
 		/** @type {d3.selction} Groups for each axis */
-		this.axes = this.axisContainer.selectAll('.axisGroup')
-			.data(this.dimensions)
-		.enter().append('g')
+		this.axes = createAxes(this, this.axisContainer.selectAll('.axisGroup')
+			.data(this.dimensions, function(d) {return d;})
+			.enter());
+
+		/***************************************
+		 * AXIS ORDER CONTROL
+		 ***************************************/
+
+		/** @type {DOM (div)} Control for applying the axis orderings in the database's axisOrderData
+		 * and saving the current order as a new one */
+		this.axisOrderControl = d3.select(this.container).append('div')
+			.classed('axisOrderControl',true)
+			.style('position','absolute')
+			.node();
+		/** @type {DOM (select)} The select element listing the axis orderings (grouped by category) */
+		this.axisOrderSelect = d3.select(this.axisOrderControl).append('select')
+			.classed('axisOrderSelect',true)
+			.on('input',function() {
+				var option = this.options[this.selectedIndex];
+				if (option && option.value !== '') {
+					self.setAxisOrder(d3.select(option).datum().order);
+					self.dispatch.call('viewstatechange',self,self.getViewState());
+				}
+			})
+			.node();
+		/** @type {DOM (input)} Text input for the category to save the current order in */
+		this.axisOrderCategoryInput = d3.select(this.axisOrderControl).append('input')
+			.classed('axisOrderCategory',true)
+			.attr('type','text')
+			.attr('placeholder',"Category")
+			.node();
+		/** @type {DOM (input)} Text input for the name to save the current order as */
+		this.axisOrderNameInput = d3.select(this.axisOrderControl).append('input')
+			.classed('axisOrderName',true)
+			.attr('type','text')
+			.attr('placeholder',"Name")
+			.node();
+		/** @type {DOM (button)} Button to save the current order as a new axis ordering
+		 * (with the category and name in the inputs) */
+		this.axisOrderSaveButton = d3.select(this.axisOrderControl).append('button')
+			.classed('axisOrderSave',true)
+			.text("Save Order")
+			.on('click',function() {
+				var category = self.axisOrderCategoryInput.value.trim();
+				var name = self.axisOrderNameInput.value.trim();
+				//Focus on the first input that still needs filling in
+				if (!category)
+					self.axisOrderCategoryInput.focus();
+				else if (!name)
+					self.axisOrderNameInput.focus();
+				else {
+					self.saveAxisOrder(category, name);
+					self.axisOrderNameInput.value = '';
+				}
+			})
+			.node();
+		/** @type {string} When to show the axis order control: 'always', 'never' or 'auto'
+		 * (only while the database has axis orderings) */
+		this.axisOrderControlVisibility = 'always';
+		updateAxisOrderControl(this);
+		//Keep the list up to date with the database's axis orderings
+		this.db.dispatch.on('axisOrderChanged.component'+this.componentId, function() {
+			updateAxisOrderControl(self);
+		});
+
+		/** @type {d3.selection} A readout in the corner of the chart
+		 * that tells when only a sample of the selection is drawn
+		 */
+		this.sampleReadout = d3.select(this.container).append('div')
+			.classed('sampleReadout',true)
+			.style('position','absolute');
+	};
+	//establish prototype chain
+	CINEMA_COMPONENTS.Pcoord.prototype = Object.create(CINEMA_COMPONENTS.Component.prototype);
+	CINEMA_COMPONENTS.Pcoord.prototype.constructor = CINEMA_COMPONENTS.Pcoord;
+
+	/**
+	 * Create (if it doesn't exist yet) the y scale for the given dimension and
+	 * update its domain and range
+	 * @param {CINEMA_COMPONENTS.Pcoord} self - The chart
+	 * @param {string} d - The dimension
+	 */
+	var updateYScale = function(self, d) {
+		if (!self.y[d]) {
+			self.y[d] = self.createScale(d);
+		}
+		//Point scales (string and boolean dimensions) use the full height
+		if (self.db.isCategoricalDimension(d)) {
+			self.y[d].domain(self.db.dimensionDomains[d])
+				.range([self.internalHeight,0]);
+		}
+		//Linear and time scales leave room for NaN values at the bottom
+		else {
+			self.y[d].domain(self.db.dimensionDomains[d])
+				.range([self.internalHeight-self.NaNMargin,0]);
+		}
+	}
+
+	/**
+	 * Fill the axis order control's select element with the axis orderings in the database
+	 * (one group of options for each category) and show or hide the control according to
+	 * axisOrderControlVisibility
+	 * @param {CINEMA_COMPONENTS.Pcoord} self - The chart
+	 */
+	var updateAxisOrderControl = function(self) {
+		var data = self.db.axisOrderData || {};
+		var categories = Object.keys(data);
+		var hidden = self.axisOrderControlVisibility === 'never' ||
+			(self.axisOrderControlVisibility === 'auto' && categories.length === 0);
+		d3.select(self.axisOrderControl).style('display', hidden ? 'none' : null);
+		//Suggest the first category for saving the current order in
+		if (!self.axisOrderCategoryInput.value)
+			self.axisOrderCategoryInput.value = categories.length > 0 ? categories[0] : "Custom";
+		var select = d3.select(self.axisOrderSelect);
+		select.selectAll('*').remove();
+		select.append('option')
+			.attr('value','')
+			.text("Axis Order");
+		categories.forEach(function(category) {
+			select.append('optgroup')
+				.attr('label',category)
+				.selectAll('option')
+				.data(data[category])
+				.enter().append('option')
+					.attr('value',function(d){return category+'/'+d.name;})
+					.text(function(d){return d.name;});
+		});
+		self.axisOrderSelect.value = '';
+	}
+
+	/**
+	 * Create the groups for axes (with the axis, label and brush for each)
+	 * Returns the selection of new groups
+	 * @param {CINEMA_COMPONENTS.Pcoord} self - The chart
+	 * @param {d3.selection} enter - An enter selection of dimensions to create axes for
+	 */
+	var createAxes = function(self, enter) {
+		var axes = enter.append('g')
 			.classed('axisGroup',true)
 			.attr('dimension',function(d){return d;})
 			.attr('transform', function(d) {
 				return "translate("+self.x(d)+")";
 			})
-			.call(this.drag)
+			.call(self.drag)
 		//Add d3 axes to each axis group
-		this.axes.append('g')
+		axes.append('g')
 			.classed('axis',true)
 			.each(function(d) {
-				d3.select(this).call(d3.axisLeft().scale(self.y[d]));
-				if (!self.db.isStringDimension(d))
+				d3.select(this).call(d3.axisLeft().scale(self.y[d]).tickFormat(self.db.getDimensionFormat(d)));
+				if (!self.db.isCategoricalDimension(d))
 					self.addNaNExtensionToAxis(this);
 			});
-		var labels = this.axes.append('g')
+		var labels = axes.append('g')
 			.classed('axisLabel',true)
 			//allow pointer-events on axisLabel so axes can be dragged
 			.style('pointer-events','initial')
@@ -267,7 +415,11 @@
 		labels.append('text')
 			.style('text-anchor','middle')
 			.attr('y',-9)
-			.text(function(d){return d;});
+			.text(function(d){return self.db.getDimensionLabel(d);});
+		//add description (if there is one) as a tooltip
+		labels.filter(function(d){return self.db.getDimensionMetadata(d).description !== undefined;})
+			.append('title')
+			.text(function(d){return self.db.getDimensionMetadata(d).description;});
 		//prepend background rectangle to each label
 		labels.insert('rect',':first-child')
 			//each background is bound to their corresponding text's
@@ -284,14 +436,11 @@
 			.attr('width',function(d){return d.width - 6;})
 			.attr('height',function(d){return d.height;});
 		//Add brush group to each axis group
-		this.axes.append('g')
+		axes.append('g')
 			.classed('brush',true)
 			.each(function(){d3.select(this).call(self.brush);});
-
-	};
-	//establish prototype chain
-	CINEMA_COMPONENTS.Pcoord.prototype = Object.create(CINEMA_COMPONENTS.Component.prototype);
-	CINEMA_COMPONENTS.Pcoord.prototype.constructor = CINEMA_COMPONENTS.Pcoord;
+		return axes;
+	}
 
 	/**
 	 * Add an additional line segment and tick to the end of an axis to represent the area
@@ -337,7 +486,7 @@
 
 		//Rescale y scales
 		this.dimensions.forEach(function(d) {
-			self.y[d].range([self.db.isStringDimension(d) ? self.internalHeight : self.internalHeight-self.NaNMargin, 0]);
+			self.y[d].range([self.db.isCategoricalDimension(d) ? self.internalHeight : self.internalHeight-self.NaNMargin, 0]);
 		});
 
 		this.redrawPaths();
@@ -351,9 +500,9 @@
 			return "translate("+self.getXPosition(d)+")";
 		});
 		this.axes.each(function(d) {
-			d3.select(this).select('.axis').call(d3.axisLeft().scale(self.y[d]));
+			d3.select(this).select('.axis').call(d3.axisLeft().scale(self.y[d]).tickFormat(self.db.getDimensionFormat(d)));
 			//if scale is linear, then update the NaN extension on the axis
-			if (!self.db.isStringDimension(d)) {
+			if (!self.db.isCategoricalDimension(d)) {
 				d3.select(this).select('path.NaNExtension')
 					.attr('d',"M0.5,"+String(self.internalHeight-self.NaNMargin+0.5)+"V"+String(self.internalHeight-0.5));
 				d3.select(this).select('.NaNExtensionTick')
@@ -378,13 +527,49 @@
 		this.dontUpdateSelectionOnBrush = false;
 	}
 
+	/**
+	 * Override updateAnnotations() to redraw paths in the colors of their tags
+	 */
+	CINEMA_COMPONENTS.Pcoord.prototype.updateAnnotations = function() {
+		this.redrawSelectedPaths();
+	}
+
 	/**
 	 * Should be called whenever the data in the associated database changes.
 	 * Will update scales, axes and selection to fit the new data.
+	 * Brushes are kept on the same values (rather than the same positions) as the scales change.
 	 */
 	CINEMA_COMPONENTS.Pcoord.prototype.updateData = function() {
 		var self = this;
 
+		//Remember the values each brush covers before the scales change
+		var brushValues = {};
+		for (var d in this.brushExtents) {
+			if (this.brushExtents[d])
+				brushValues[d] = getBrushValues(this, d);
+		}
+
+		//Add axes for new dimensions (e.g. derived dimensions) and remove axes
+		//for dimensions that no longer exist
+		if (this.updateDimensions()) {
+			for (var d in this.brushExtents) {
+				if (this.dimensions.indexOf(d) === -1)
+					delete this.brushExtents[d];
+			}
+			this.dimensions.forEach(function(d) {
+				updateYScale(self, d);
+			});
+			this.x.domain(this.dimensions);
+			var update = this.axisContainer.selectAll('.axisGroup')
+				.data(this.dimensions, function(d) {return d;});
+			update.exit().remove();
+			this.axes = createAxes(this, update.enter()).merge(update)
+				.attr('transform', function(d) {
+					return "translate("+self.x(d)+")";
+				});
+			this.redrawPaths();
+		}
+
 		//Update scale domains
 		this.dimensions.forEach(function(d){
 			self.y[d].domain(self.db.dimensionDomains[d]);
@@ -392,12 +577,70 @@
 
 		//Rebuild axes
 		this.axes.each(function(d) {
-			d3.select(this).select('.axis').call(d3.axisLeft().scale(self.y[d]));
+			d3.select(this).select('.axis').call(d3.axisLeft().scale(self.y[d]).tickFormat(self.db.getDimensionFormat(d)));
+		});
+
+		//Move brushes to cover the same values on the new scales
+		this.dontUpdateSelectionOnBrush = true;
+		this.axes.selectAll('g.brush').each(function(d) {
+			if (!brushValues[d])
+				return;
+			var extent = getBrushExtent(self, d, brushValues[d]);
+			d3.select(this).call(self.brush.move, extent);
+			if (extent)
+				self.brushExtents[d] = extent;
+			else
+				delete self.brushExtents[d];
 		});
+		this.dontUpdateSelectionOnBrush = false;
 
 		this.updateSelection(true);
 	}
 
+	/**
+	 * Get the values covered by the brush on the given dimension, so that it can be moved to
+	 * cover the same values when the scale changes.
+	 * Returns the categories covered by the brush on categorical dimensions. Otherwise, returns the
+	 * value at each end of the brush (or the position, if the end is on the NaN extension of the axis)
+	 * @param {CINEMA_COMPONENTS.Pcoord} self - The chart
+	 * @param {string} d - The dimension of the brush
+	 */
+	var getBrushValues = function(self, d) {
+		var extent = self.brushExtents[d];
+		if (self.db.isCategoricalDimension(d)) {
+			return {categories: self.y[d].domain().filter(function(value) {
+				var y = self.y[d](value);
+				return extent[0] <= y && y <= extent[1];
+			})};
+		}
+		return {ends: extent.map(function(y) {
+			return y <= self.internalHeight-self.NaNMargin ? {value: self.y[d].invert(y)} : {position: y};
+		})};
+	}
+
+	/**
+	 * Get the extent for a brush that covers the given values (see getBrushValues())
+	 * on the current scale for the dimension. Returns null if the brush no longer covers anything
+	 * @param {CINEMA_COMPONENTS.Pcoord} self - The chart
+	 * @param {string} d - The dimension of the brush
+	 * @param {Object} values - The values covered by the brush
+	 */
+	var getBrushExtent = function(self, d, values) {
+		if (values.categories) {
+			var positions = values.categories.map(function(value) {return self.y[d](value);})
+				.filter(function(y) {return y !== undefined;});
+			if (positions.length === 0)
+				return null;
+			var padding = self.y[d].step()/2;
+			return [Math.max(d3.min(positions)-padding, 0), Math.min(d3.max(positions)+padding, self.internalHeight)];
+		}
+		return values.ends.map(function(end) {
+			if (end.position !== undefined)
+				return end.position;
+			return Math.max(0, Math.min(self.internalHeight, self.y[d](end.value)));
+		});
+	}
+
 	/**
 	 * Called whenever a brush changes the selection
 	 * Updates selection to hold the indices of all data points that are
@@ -407,27 +650,51 @@
 	 * 	not change.
 	 */
 	CINEMA_COMPONENTS.Pcoord.prototype.updateSelection = function(force) {
+		var newSelection = this.db.query(this.getBrushPredicate());
+		if (!arraysEqual(this.brushSelection,newSelection) || force) {
+			this.brushSelection = newSelection;
+			this.dispatch.call("selectionchange",this, newSelection.slice());
+			//While attached to a SelectionModel, the model's selection is drawn instead
+			//(it is updated through the model's 'selectionchange' event)
+			if (!this.selectionModel) {
+				this.selection = newSelection;
+				this.redrawSelectedPaths();
+			}
+		}
+	}
+
+	/**
+	 * Get a predicate (for Database.query()) for the values selected by the brushes
+	 */
+	CINEMA_COMPONENTS.Pcoord.prototype.getBrushPredicate = function() {
 		var self = this;
-		var newSelection = [];
-		this.db.data.forEach(function(d,i) {
-			var selected = true;
-			for (var p in self.dimensions) {
-				var extent = self.brushExtents[self.dimensions[p]];
-				if (extent) {
-					var y = self.getYPosition(self.dimensions[p],d);
-					selected = selected && extent[0] <= y && y <= extent[1];
-					if (!selected)
-						break;
-				}
+		var predicate = {};
+		this.dimensions.forEach(function(d) {
+			var extent = self.brushExtents[d];
+			if (!extent)
+				return;
+			var y = self.y[d];
+			//Categorical dimensions: the categories inside the brush
+			if (self.db.isCategoricalDimension(d)) {
+				predicate[d] = {in: y.domain().filter(function(value) {
+					return extent[0] <= y(value) && y(value) <= extent[1];
+				})};
+				return;
+			}
+			//Other dimensions: the range of values inside the brush
+			//and NaN values if the brush covers the NaN tick (at the bottom of the axis)
+			var condition = {isNaN: extent[1] >= self.internalHeight};
+			var bottom = Math.min(extent[1], self.internalHeight-self.NaNMargin);
+			if (extent[0] <= bottom) {
+				var values = [y.invert(extent[0]), y.invert(bottom)];
+				condition.min = d3.min(values);
+				condition.max = d3.max(values);
 			}
-			if (selected)
-				newSelection.push(i);
+			else if (!condition.isNaN)
+				condition.in = [];
+			predicate[d] = condition;
 		});
-		if (!arraysEqual(this.selection,newSelection) || force) {
-			this.selection = newSelection;
-			this.dispatch.call("selectionchange",this, this.selection.slice());
-			this.redrawSelectedPaths();
-		}
+		return predicate;
 	}
 
 	/**
@@ -504,6 +771,8 @@
 
 	/**
 	 * Reorder the axes to the order given
+	 * (dimensions left out of the order are placed after those in it)
+	 * @param {string[]} order - The dimensions in order
 	 */
 	CINEMA_COMPONENTS.Pcoord.prototype.setAxisOrder = function(order) {
 		var self = this;
@@ -513,7 +782,7 @@
 		});
 		//Add any dimensions in chart's dimensions but not in order
 		this.dimensions.forEach(function(d) {
-			if (!order.includes[d])
+			if (!order.includes(d))
 				order.push(d);
 		});
 		//update domain
@@ -534,6 +803,158 @@
 		this.redrawPaths();
 	}
 
+	/**
+	 * Get the view state of the chart: the order of its axes ('axisOrder') and the values
+	 * covered by each brush ('brushes', keyed by dimension). Brushes are kept as the values they
+	 * cover rather than their positions, so they can be restored after the chart is resized
+	 * or the data changes.
+	 */
+	CINEMA_COMPONENTS.Pcoord.prototype.getViewState = function() {
+		var brushes = {};
+		for (var d in this.brushExtents) {
+			if (this.brushExtents[d])
+				brushes[d] = getBrushValues(this, d);
+		}
+		return {axisOrder: this.dimensions.slice(), brushes: brushes};
+	}
+
+	/**
+	 * Return the chart to a view state from getViewState(), reordering the axes, moving
+	 * the brushes and updating the selection to match.
+	 * This will not trigger the 'axisorderchange' or 'viewstatechange' events.
+	 * @param {Object} state - The state to return to
+	 */
+	CINEMA_COMPONENTS.Pcoord.prototype.setViewState = function(state) {
+		var self = this;
+		var oldOrder = this.dimensions.slice();
+		this.setAxisOrder(state.axisOrder);
+		if (!arraysEqual(oldOrder,this.dimensions))
+			this.axisOrderSelect.value = '';
+		//Move brushes to cover the values in the state (clearing the others)
+		this.dontUpdateSelectionOnBrush = true;
+		this.axes.selectAll('g.brush').each(function(d) {
+			var extent = state.brushes[d] ? getBrushExtent(self, d, state.brushes[d]) : null;
+			d3.select(this).call(self.brush.move, extent);
+			if (extent)
+				self.brushExtents[d] = extent;
+			else
+				delete self.brushExtents[d];
+		});
+		this.dontUpdateSelectionOnBrush = false;
+		this.updateSelection();
+	}
+
+	/**
+	 * Save the current order of the axes in the database's axisOrderData
+	 * (it can then be exported with the database's exportAxisOrder())
+	 * @param {string} category - The category to save the ordering in (a new or existing one)
+	 * @param {string} name - The name of the ordering (replaces the ordering with the same name in the category)
+	 */
+	CINEMA_COMPONENTS.Pcoord.prototype.saveAxisOrder = function(category, name) {
+		this.db.addAxisOrder(category, name, this.dimensions);
+		this.axisOrderSelect.value = category+'/'+name;
+	}
+
+	/**
+	 * Set when to show the axis order control
+	 * @param {string} visibility - 'always' (the default), 'never' (e.g. if the page saves
+	 * axis orderings with saveAxisOrder() itself) or 'auto' (only while the database has axis orderings)
+	 * @throws {Error} If visibility is not one of those
+	 */
+	CINEMA_COMPONENTS.Pcoord.prototype.setAxisOrderControlVisibility = function(visibility) {
+		if (['always','never','auto'].indexOf(visibility) === -1)
+			throw new Error("Unknown axis order control visibility '"+visibility+"'.");
+		this.axisOrderControlVisibility = visibility;
+		updateAxisOrderControl(this);
+	}
+
+	/**
+	 * Override handleDataUpdate() to also keep the data selected by the brushes on the same rows
+	 */
+	CINEMA_COMPONENTS.Pcoord.prototype.handleDataUpdate = function(updateInfo) {
+		this.brushSelection = CINEMA_COMPONENTS.Component.remapIndices(this.brushSelection, updateInfo);
+		CINEMA_COMPONENTS.Component.prototype.handleDataUpdate.call(this, updateInfo);
+	}
+
+	/**
+	 * Override destroy() to also stop listening for changes to the database's axis orderings
+	 */
+	CINEMA_COMPONENTS.Pcoord.prototype.destroy = function() {
+		this.db.dispatch.on('axisOrderChanged.component'+this.componentId, null);
+		//Call super
+		CINEMA_COMPONENTS.Component.prototype.destroy.call(this);
+	}
+
+	/**
+	 * Override linkSelectionModel() to publish the rows selected by the brushes, the path under
+	 * the mouse (as the highlighted rows) and the path clicked on (as the focus) and to draw the
+	 * model's selection, highlighted rows and overlay data.
+	 * (The brushes stay where the user put them, but the selected paths are those selected by
+	 * every source in the model)
+	 */
+	CINEMA_COMPONENTS.Pcoord.prototype.linkSelectionModel = function(model) {
+		var self = this;
+		this.selectionModel = model;
+		var name = '.selectionModel'+model.modelId;
+		var publishSelection = function(selection) {
+			var brushed = d3.keys(self.getBrushPredicate()).length > 0;
+			model.setSelection(brushed ? selection : null, self);
+		};
+		this.dispatch.on('selectionchange'+name, publishSelection);
+		this.dispatch.on('mouseover'+name, function(index) {
+			model.setHighlighted(index === null || index === undefined ? [] : [index]);
+		});
+		this.dispatch.on('click'+name, function(index) {
+			model.setFocus(index);
+		});
+
+		var showSelection = function(selection) {
+			self.selection = selection;
+			self.redrawSelectedPaths();
+		};
+		name = '.component'+this.componentId;
+		model.dispatch.on('selectionchange'+name, showSelection);
+		model.dispatch.on('highlightchange'+name, function(indices) {
+			self.setHighlightedPaths(indices);
+		});
+		model.dispatch.on('overlaychange'+name, function(data) {
+			self.setOverlayPaths(data);
+		});
+
+		publishSelection(this.brushSelection);
+		showSelection(model.selection.slice());
+		this.setHighlightedPaths(model.highlighted.slice());
+		this.setOverlayPaths(model.overlayData);
+	}
+
+	/**
+	 * Override unlinkSelectionModel() to go back to drawing the data selected by the brushes
+	 */
+	CINEMA_COMPONENTS.Pcoord.prototype.unlinkSelectionModel = function(model) {
+		CINEMA_COMPONENTS.Component.prototype.unlinkSelectionModel.call(this, model);
+		if (this.selectionModel === model)
+			this.selectionModel = null;
+		this.selection = this.brushSelection;
+		this.redrawSelectedPaths();
+	}
+
+	/**
+	 * Get the indices of the paths to draw for the current selection: all of them, or a
+	 * stratified sample of maxDrawnPaths of them if there are more than that.
+	 * Also updates sampleReadout.
+	 */
+	CINEMA_COMPONENTS.Pcoord.prototype.getDrawnPaths = function() {
+		if (this.selection.length <= this.maxDrawnPaths) {
+			this.sampleReadout.text('');
+			return this.selection;
+		}
+		var sample = this.db.getSample(this.maxDrawnPaths,
+			{indices: this.selection, strata: this.sampleStrata});
+		this.sampleReadout.text("Showing a sample of " + sample.length + " of " +
+			this.selection.length + " selected rows. Brush to narrow the selection.");
+		return sample;
+	}
+
 	/**
 	 * Redraw the current selection of paths.
 	 * Actual implementation is up to specific subclasses
@@ -636,7 +1057,7 @@
 	 * @param {Object} p - The data point
 	 */
 	CINEMA_COMPONENTS.Pcoord.prototype.getYPosition = function(d, p) {
-		if (!this.db.isStringDimension(d) && isNaN(p[d]))
+		if (!this.db.isCategoricalDimension(d) && isNaN(p[d]))
 			//If the value is NaN on a linear scale, return internalHeight as the position
 			//(to place the line on the NaN tick)
 			return this.internalHeight;
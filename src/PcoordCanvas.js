@@ -45,6 +45,11 @@
 		//Specify that this is a Pcoord Canvas component
 		d3.select(this.container).classed('CANVAS',true);
 
+		//Because only a sample of the selection may be drawn,
+		//need to keep track of drawnPaths so that their
+		//index can be used on indexCanvas
+		this.drawnPaths = [];
+
 		//Add canvases to pathContainer
 		this.selectedCanvas = this.pathContainer.append('canvas')
 			.classed('selectedCanvas',true)
@@ -108,9 +113,9 @@
 			if (x >= 0 && y >= 0) {
 				var index = getIndexAtPoint(x,y,self.indexCanvas);
 				if (index != -1) {
-					if (self.lastMouseMove != self.selection[index]) {
-						self.lastMouseMove = self.selection[index];
-						self.dispatch.call('mouseover',self,self.selection[index],d3.event);
+					if (self.lastMouseMove != self.drawnPaths[index]) {
+						self.lastMouseMove = self.drawnPaths[index];
+						self.dispatch.call('mouseover',self,self.drawnPaths[index],d3.event);
 					}
 				}
 				else {
@@ -168,6 +173,8 @@
 	CINEMA_COMPONENTS.PcoordCanvas.prototype.redrawSelectedPaths = function() {
 		var self = this;
 
+		this.drawnPaths = this.getDrawnPaths();
+
 		var ctx = this.selectedCanvas.getContext('2d');
 		ctx.clearRect(0,0,this.internalWidth,this.internalHeight);
 
@@ -179,6 +186,8 @@
 			var i = 0;
 			while (i < queue.length) {
 				var path = new Path2D(self.getPath(self.db.data[queue[i]]));
+				//Paths of tagged rows are drawn in the color of their tag
+				ctx.strokeStyle = self.getTagColor(queue[i]) || 'lightgray';
 				ctx.stroke(path);
 
 				indexCtx.strokeStyle = indexToColor(i);
@@ -186,7 +195,7 @@
 
 				yield ++i;
 			}
-		})(this.selection);
+		})(this.drawnPaths);
 	}
 
 	/**
@@ -236,7 +245,7 @@
 	CINEMA_COMPONENTS.PcoordCanvas.prototype.destroy = function() {
 		clearInterval(this.interval);
 		//Call super
-		CINEMA_COMPONENTS.Component.prototype.destroy.call(this);
+		CINEMA_COMPONENTS.Pcoord.prototype.destroy.call(this);
 	}
 
 	//Get the index of the path at the given point
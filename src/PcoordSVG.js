@@ -88,7 +88,7 @@
 		var self = this;
 		//Bind to selection and update
 		var update = this.selectedPaths
-			.selectAll('path').data(this.selection);
+			.selectAll('path').data(this.getDrawnPaths());
 		update.enter() //ENTER
 			.append('path')
 		.merge(update) //ENTER + UPDATE
@@ -96,6 +96,9 @@
 			.attr('d',function(d){
 				return self.getPath(self.db.data[d]);
 			})
+			//Paths of tagged rows are drawn in the color of their tag
+			.classed('tagged',function(d){return self.getTagColor(d) !== undefined;})
+			.style('stroke',function(d){return self.getTagColor(d) || null;})
 			.on('mouseenter',function(d){
 				self.dispatch.call("mouseover",self,d,d3.event);
 			})
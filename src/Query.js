@@ -60,11 +60,19 @@
 
 		//override this.dimensions to include only numeric dimensions
 		this.dimensions = this.dimensions.filter(function(d) {
-			return !self.db.isStringDimension(d);
+			return !self.db.isCategoricalDimension(d);
 		});
 
-		/** @type {number[]} Indices of the similar results to the last query */
+		/** @type {number[]} Indices of the similar results to the last query (most similar first) */
 		this.results = [];
+		/** @type {number[]} Distance of each result of the last query from the custom-defined data point */
+		this.distances = [];
+
+		/** @type {string|function} The metric used to measure distance in queries
+		 * (the name of one of CINEMA_COMPONENTS.DISTANCE_METRICS or a metric function) */
+		this.metric = 'manhattan';
+		/** @type {Object} The weight of each dimension in queries (defaults to 1) */
+		this.weights = {};
 
 		/** @type {CINEMA_COMPONENTS.ExtraData} The custom-defined data point */
 		this.custom = new CINEMA_COMPONENTS.ExtraData({},"");
@@ -80,7 +88,7 @@
 		/** @type {d3.dispatch} Hook for events on chart
 		 * Set handlers with on() function. Ex: this.dispatch.on('query',handlerFunction(results))
 		 * 'query': Triggered when a query is made
-		 *     (argument is the results of the query (as an array of indices))
+		 *     (argument is the results of the query (as an array of indices, most similar first))
 		 * 'customchange': Triggered when the custom-defined data point changes
 		 *     (arguemnt is an array with extra data custom,upper and lower (in that order))
 		*/
@@ -111,9 +119,12 @@
 			.classed('queryButton',true)
 			.text("Find Similar")
 			.on('click',function() {
-				var results = self.db.getSimilar(self.custom.data,self.thresholdNode.value);
-				d3.select(self.readout).text(results.length+ " results found!");
-				self.dispatch.call('query',self,results.slice());
+				var ranked = self.db.getSimilar(self.custom.data,Number(self.thresholdNode.value),
+					{metric: self.metric, weights: self.weights, k: Infinity});
+				self.results = ranked.map(function(r) {return r.index;});
+				self.distances = ranked.map(function(r) {return r.distance;});
+				d3.select(self.readout).text(self.results.length+ " results found!");
+				self.dispatch.call('query',self,self.results.slice());
 			})
 			.node();
 
@@ -203,6 +214,35 @@
 		})
 	}
 
+	/**
+	 * Override handleDataUpdate() to also keep the results of the last query on the same rows
+	 */
+	CINEMA_COMPONENTS.Query.prototype.handleDataUpdate = function(updateInfo) {
+		//Keep each distance with its result (dropping those of removed rows)
+		var self = this;
+		var distances = this.distances;
+		this.distances = distances.filter(function(distance, i) {
+			return CINEMA_COMPONENTS.Component.remapIndices([self.results[i]], updateInfo).length > 0;
+		});
+		this.results = CINEMA_COMPONENTS.Component.remapIndices(this.results, updateInfo);
+		CINEMA_COMPONENTS.Component.prototype.handleDataUpdate.call(this, updateInfo);
+	}
+
+	/**
+	 * Override linkSelectionModel() to publish the results of each query (as the rows it selects)
+	 * and the custom-defined data point and its boundaries (as the overlay data)
+	 */
+	CINEMA_COMPONENTS.Query.prototype.linkSelectionModel = function(model) {
+		var self = this;
+		var name = '.selectionModel'+model.modelId;
+		this.dispatch.on('query'+name, function(results) {
+			model.setSelection(results, self);
+		});
+		this.dispatch.on('customchange'+name, function(data) {
+			model.setOverlay(data);
+		});
+	}
+
 	/**
 	 * Update upper and lower data depending on custom data and current threshold value
 	 */
@@ -71,6 +71,13 @@
 		this.highlighted = [];
 		/** @type {CINEMA_COMPONENTS.ExtraData[]} Custom data to overlay on chart */
 		this.overlayData = [];
+		/** @type {number} The most points to draw. When more selected points than this are inside
+		 * the plot, their density is drawn instead (zooming in to fewer points draws them again) */
+		this.maxDrawnPoints = 10000;
+		/** @type {number} The size (in pixels) of the bins the density is drawn with */
+		this.densityBinSize = 4;
+		/** @type {Object[]} The bins of the density being drawn, if it is being drawn (otherwise null) */
+		this.density = null;
 
 		/** @type {string} The currently selected dimensions for each axis*/
 		this.xDimension = this.dimensions[0];
@@ -88,18 +95,21 @@
 		 *     (called with the new dimension as an argument)
 		 * 'ychanged': Triggered when the y dimension being viewed is changed
 		 *     (called with the new dimension as an argument)
+		 * 'viewstatechange': Triggered when the user finishes changing the view state on the chart
+		 *     (by choosing a dimension or zooming)
+		 *     (called with the new view state, see getViewState())
 		*/
-		this.dispatch = d3.dispatch("mouseover",'xchanged','ychanged');
+		this.dispatch = d3.dispatch("mouseover",'xchanged','ychanged','viewstatechange');
 
 		/***************************************
 		 * SCALES
 		 ***************************************/
 
 		/** @type {d3.scale} The scales for the x and y axes */
-		this.x = (this.db.isStringDimension(this.xDimension) ? d3.scalePoint() : d3.scaleLinear())
+		this.x = this.createScale(this.xDimension)
 			.domain(this.db.dimensionDomains[this.xDimension])
 			.range([15,this.internalWidth-15]);
-		this.y = (this.db.isStringDimension(this.yDimension) ? d3.scalePoint() : d3.scaleLinear())
+		this.y = this.createScale(this.yDimension)
 		.domain(this.db.dimensionDomains[this.yDimension])
 		.range([this.internalHeight-15,15]);
 
@@ -140,37 +150,34 @@
 			.data(this.dimensions)
 			.enter().append('option')
 				.attr('value',function(d){return d;})
-				.text(function(d){return d;});
+				.attr('title',function(d){return self.db.getDimensionMetadata(d).description;})
+				.text(function(d){return self.db.getDimensionLabel(d);});
 		d3.select(this.xSelect).node().value = this.xDimension;
 		//y
 		d3.select(this.ySelect).selectAll('option')
 			.data(this.dimensions)
 			.enter().append('option')
 				.attr('value',function(d){return d;})
-				.text(function(d){return d;});
+				.attr('title',function(d){return self.db.getDimensionMetadata(d).description;})
+				.text(function(d){return self.db.getDimensionLabel(d);});
 		d3.select(this.ySelect).node().value = this.yDimension;
 		//Add change listeners to select elements
+		//(changing either dimension resets the zoom, which rescales the axes and redraws)
 		//x
 		d3.select(this.xSelect).on('input',function() {
 			self.xDimension = this.value;
-			self.x = (self.db.isStringDimension(self.xDimension) ? d3.scalePoint() : d3.scaleLinear())
-				.domain(self.db.dimensionDomains[self.xDimension])
-				.range([0,self.internalWidth]);
-			self.xAxisContainer.select('.axis')
-				.call(d3.axisBottom().scale(self.x));
+			self.x = self.createScale(self.xDimension);
+			self.resetZoom();
 			self.dispatch.call('xchanged',self,self.xDimension);
-			self.redrawPoints();
+			self.dispatch.call('viewstatechange',self,self.getViewState());
 		});
 		//y
 		d3.select(this.ySelect).on('input',function() {
 			self.yDimension = this.value;
-			self.y = (self.db.isStringDimension(self.yDimension) ? d3.scalePoint() : d3.scaleLinear())
-				.domain(self.db.dimensionDomains[self.yDimension])
-				.range([self.internalHeight,0]);
-			self.yAxisContainer.select('.axis')
-				.call(d3.axisLeft().scale(self.y));
-				self.dispatch.call('ychanged',self,self.yDimension);
-			self.redrawPoints();
+			self.y = self.createScale(self.yDimension);
+			self.resetZoom();
+			self.dispatch.call('ychanged',self,self.yDimension);
+			self.dispatch.call('viewstatechange',self,self.getViewState());
 		});
 
 		/** @type {d3.selection} A readout in the corner of the chart
@@ -180,6 +187,37 @@
 			.classed('warningReadout',true)
 			.style('position','absolute');
 
+		/** @type {d3.selection} A readout in the corner of the chart
+		 * that tells when the density or a sample of the points is drawn instead of all of them
+		 */
+		this.sampleReadout = d3.select(this.container).append('div')
+			.classed('sampleReadout',true)
+			.style('position','absolute');
+
+		/***************************************
+		 * ZOOM
+		 ***************************************/
+
+		/** @type {d3.zoomTransform} The current zoom on the chart (applies to numeric axes only) */
+		this.zoomTransform = d3.zoomIdentity;
+		/** @type {d3.zoom} Zoom behavior on the pointContainer
+		 * (scroll to zoom, drag to pan and double-click to reset) */
+		this.zoom = d3.zoom()
+			.scaleExtent([1,1000])
+			.on('zoom',function() {
+				self.zoomTransform = d3.event.transform;
+				updateScales(self);
+				self.redrawPoints();
+			})
+			//Zooming by the user (not programmatically) changes the view state
+			//(A scroll-wheel zoom ends after a timeout, with no sourceEvent, so only the flag is checked)
+			.on('end',function() {
+				if (!zoomingProgrammatically)
+					self.dispatch.call('viewstatechange',self,self.getViewState());
+			});
+		this.pointContainer.call(this.zoom)
+			.on('dblclick.zoom',function() {self.resetZoom();});
+
 		/***************************************
 		 * AXES
 		 ***************************************/
@@ -205,12 +243,12 @@
 		//x
 		this.xAxisContainer.append('g')
 			.classed('axis',true)
-			.call(d3.axisBottom().scale(this.x));
+			.call(d3.axisBottom().scale(this.x).tickFormat(this.db.getDimensionFormat(this.xDimension)));
 		//y
 		this.yAxisContainer.append('g')
 			.classed('axis',true)
 			.attr('transform','translate(50)')
-			.call(d3.axisLeft().scale(this.y));
+			.call(d3.axisLeft().scale(this.y).tickFormat(this.db.getDimensionFormat(this.yDimension)));
 
 	};
 	//establish prototype chain
@@ -230,43 +268,135 @@
 			.style('width',this.internalWidth+'px')
 			.style('height',this.internalHeight+'px');
 
-		//Rescale
-		this.x.range([15,this.internalWidth-15]);
-		this.y.range([this.internalHeight-15,15]);
-
-		//Reposition and rescale axes
+		//Reposition axes
 		this.xAxisContainer
 			.style('top',this.margin.top+this.internalHeight+'px')
-			.style('width',this.internalWidth+'px')
-			.select('.axis')
-				.call(d3.axisBottom().scale(this.x));
+			.style('width',this.internalWidth+'px');
 		this.yAxisContainer
-			.style('height',this.internalHeight+'px')
-			.select('.axis')
-				.call(d3.axisLeft().scale(this.y));
+			.style('height',this.internalHeight+'px');
+
+		//Rescale
+		updateScales(this);
 
 		this.redrawPoints();
 	}
 
+	/**
+	 * Override updateAnnotations() to redraw points with markers for their tags
+	 */
+	CINEMA_COMPONENTS.ScatterPlot.prototype.updateAnnotations = function() {
+		this.redrawSelectedPoints();
+	}
+
 	/**
 	 * Should be called whenever the data in the associated database changes.
 	 * Will update scales, axes and selection to fit the new data.
 	 */
 	CINEMA_COMPONENTS.ScatterPlot.prototype.updateData = function() {
+		var self = this;
 
-		//Update scale domains
-		this.x.domain(this.db.dimensionDomains[this.xDimension]);
-		this.y.domain(this.db.dimensionDomains[this.yDimension]);
-
-		//Rebuild axes
-		this.xAxisContainer.select('.axis')
-			.call(d3.axisBottom().scale(this.x));
-		this.yAxisContainer.select('.axis')
-			.call(d3.axisLeft().scale(this.y));
+		//Add new dimensions (e.g. derived dimensions) to the select elements
+		if (this.updateDimensions()) {
+			[this.xSelect, this.ySelect].forEach(function(select) {
+				var value = select.value;
+				var options = d3.select(select).selectAll('option')
+					.data(self.dimensions, function(d) {return d;});
+				options.exit().remove();
+				options.enter().append('option')
+					.attr('value',function(d){return d;})
+					.attr('title',function(d){return self.db.getDimensionMetadata(d).description;})
+					.text(function(d){return self.db.getDimensionLabel(d);});
+				select.value = value;
+			});
+		}
+
+		//Update scale domains (keeping the zoom) and rebuild axes
+		updateScales(this);
 
 		this.redrawPoints();
 	}
 
+	/**
+	 * Set the domain and range of the x and y scales to fit the data, the size of the chart
+	 * and the current zoom, and rebuild the axes
+	 * @param {object} self - The ScatterPlot object
+	 */
+	var updateScales = function(self) {
+		self.x.domain(self.db.dimensionDomains[self.xDimension])
+			.range([15,self.internalWidth-15]);
+		self.y.domain(self.db.dimensionDomains[self.yDimension])
+			.range([self.internalHeight-15,15]);
+		//Categorical axes are not zoomed
+		if (!self.db.isCategoricalDimension(self.xDimension))
+			self.x.domain(self.zoomTransform.rescaleX(self.x).domain());
+		if (!self.db.isCategoricalDimension(self.yDimension))
+			self.y.domain(self.zoomTransform.rescaleY(self.y).domain());
+
+		self.xAxisContainer.select('.axis')
+			.call(d3.axisBottom().scale(self.x).tickFormat(self.db.getDimensionFormat(self.xDimension)));
+		self.yAxisContainer.select('.axis')
+			.call(d3.axisLeft().scale(self.y).tickFormat(self.db.getDimensionFormat(self.yDimension)));
+	}
+
+	/**
+	 * Get the view state of the chart: the dimensions on each axis ('xDimension' and
+	 * 'yDimension') and the zoom ('zoom', with the scale 'k' and translation 'x' and 'y'
+	 * of the zoomTransform)
+	 */
+	CINEMA_COMPONENTS.ScatterPlot.prototype.getViewState = function() {
+		return {
+			xDimension: this.xDimension,
+			yDimension: this.yDimension,
+			zoom: {k: this.zoomTransform.k, x: this.zoomTransform.x, y: this.zoomTransform.y}
+		};
+	}
+
+	/**
+	 * Return the chart to a view state from getViewState().
+	 * Triggers the 'xchanged' and 'ychanged' events if the dimensions change,
+	 * but not the 'viewstatechange' event.
+	 * @param {Object} state - The state to return to
+	 */
+	CINEMA_COMPONENTS.ScatterPlot.prototype.setViewState = function(state) {
+		var xChanged = state.xDimension !== this.xDimension && this.dimensions.includes(state.xDimension);
+		var yChanged = state.yDimension !== this.yDimension && this.dimensions.includes(state.yDimension);
+		if (xChanged) {
+			this.xDimension = this.xSelect.value = state.xDimension;
+			this.x = this.createScale(this.xDimension);
+		}
+		if (yChanged) {
+			this.yDimension = this.ySelect.value = state.yDimension;
+			this.y = this.createScale(this.yDimension);
+		}
+		zoomTo(this, d3.zoomIdentity.translate(state.zoom.x,state.zoom.y).scale(state.zoom.k));
+		if (xChanged)
+			this.dispatch.call('xchanged',this,this.xDimension);
+		if (yChanged)
+			this.dispatch.call('ychanged',this,this.yDimension);
+	}
+
+	/**
+	 * Reset the zoom on the chart, so that it shows all of the data again
+	 */
+	CINEMA_COMPONENTS.ScatterPlot.prototype.resetZoom = function() {
+		zoomTo(this, d3.zoomIdentity);
+	}
+
+	/** @type {boolean} Whether a chart is being zoomed programmatically (by zoomTo()) */
+	var zoomingProgrammatically = false;
+
+	/**
+	 * Set the zoom on the chart to the given transform
+	 * (triggers the zoom behavior's 'zoom' event, which rescales and redraws)
+	 * @param {object} self - The ScatterPlot object
+	 * @param {d3.zoomTransform} transform - The transform to zoom to
+	 */
+	var zoomTo = function(self, transform) {
+		zoomingProgrammatically = true;
+		self.pointContainer.call(self.zoom.transform, transform);
+		zoomingProgrammatically = false;
+	}
+
 	//Shortcut function for redrawSelectedPoints, redrawHighlightedPoints and redrawOverlayPoints
 	CINEMA_COMPONENTS.ScatterPlot.prototype.redrawPoints = function() {
 		this.redrawSelectedPoints();
@@ -281,12 +411,108 @@
 	CINEMA_COMPONENTS.ScatterPlot.prototype.getPlottablePoints = function(selection) {
 		var self = this;
 		return selection.filter(function(d) {
-			var xCoord = self.x(self.db.data[d][self.xDimension]);
-			var yCoord = self.y(self.db.data[d][self.yDimension]);
+			var xCoord = self.x(self.db.getValue(d, self.xDimension));
+			var yCoord = self.y(self.db.getValue(d, self.yDimension));
 			return !(isNaN(xCoord) || isNaN(yCoord));
 		});
 	}
 
+	/**
+	 * Get the points to draw from the given (plottable) points: those that are inside the
+	 * (possibly zoomed) chart. If there are more than maxDrawnPoints of them, their density
+	 * is drawn instead and no points are returned. The density is set in the 'density' field
+	 * as a list of the non-empty bins (of densityBinSize pixels) that the points fall in, each
+	 * with the fields x, y, width and height (in pixels), 'count' (the number of points in it)
+	 * and 'weight' (the count on a log scale from 0 to 1, relative to the fullest bin).
+	 * On log axes, the density can't be drawn with even bins, so a stratified sample of
+	 * maxDrawnPoints points is returned instead.
+	 * Also updates sampleReadout.
+	 * @param {number[]} points - The indices of the plottable points (see getPlottablePoints())
+	 */
+	CINEMA_COMPONENTS.ScatterPlot.prototype.getDrawnPoints = function(points) {
+		var self = this;
+		var visible = points.filter(function(d) {
+			var xCoord = self.x(self.db.getValue(d, self.xDimension));
+			var yCoord = self.y(self.db.getValue(d, self.yDimension));
+			return xCoord >= 0 && xCoord <= self.internalWidth &&
+				yCoord >= 0 && yCoord <= self.internalHeight;
+		});
+		this.density = null;
+		if (visible.length <= this.maxDrawnPoints) {
+			this.sampleReadout.text('');
+			return visible;
+		}
+		//(log scales have a base)
+		if (this.x.base || this.y.base) {
+			//(the points in view change with every frame of a zoom, so the sample is not cached)
+			var sample = this.db.getSample(this.maxDrawnPoints, {indices: visible, cache: false});
+			this.sampleReadout.text("Showing a sample of " + sample.length + " of " +
+				visible.length + " points. Zoom in to see all of them.");
+			return sample;
+		}
+		this.density = getDensity(this, visible);
+		this.sampleReadout.text("Showing the density of " + visible.length +
+			" points. Zoom in to see individual points.");
+		return [];
+	}
+
+	/**
+	 * Get the density of the given points on the chart (see getDrawnPoints()),
+	 * using the database's binned aggregate over the part of each axis that is visible
+	 * @param {object} self - The ScatterPlot object
+	 * @param {number[]} points - The indices of the points
+	 */
+	var getDensity = function(self, points) {
+		var size = self.densityBinSize;
+		var axes = [
+			{dimension: self.xDimension, scale: self.x, length: self.internalWidth},
+			{dimension: self.yDimension, scale: self.y, length: self.internalHeight}
+		];
+		var aggregate = self.db.getBinnedAggregate(
+			axes.map(function(a) {return a.dimension;}),
+			axes.map(function(a) {return Math.ceil(a.length/size);}),
+			{
+				indices: points,
+				//(the extents change with every frame of a zoom, so the aggregate is not cached)
+				cache: false,
+				extents: axes.map(function(a) {
+					return self.db.isCategoricalDimension(a.dimension) ? null :
+						d3.extent([0,a.length].map(a.scale.invert));
+				})
+			}
+		);
+		//The pixel range of each bin along each axis
+		//(categorical bins are centered on the position of their category)
+		var ranges = axes.map(function(a, k) {
+			if (aggregate.categories[k]) {
+				return aggregate.categories[k].map(function(c) {
+					return [a.scale(c)-size/2, a.scale(c)+size/2];
+				});
+			}
+			var extent = aggregate.extents[k];
+			var width = (extent[1]-extent[0])/aggregate.binCounts[k];
+			return d3.range(aggregate.binCounts[k]).map(function(i) {
+				return [a.scale(extent[0]+i*width), a.scale(extent[0]+(i+1)*width)]
+					.sort(d3.ascending);
+			});
+		});
+		var countX = aggregate.binCounts[0];
+		var maxCount = d3.max(aggregate.counts);
+		var density = [];
+		aggregate.counts.forEach(function(count, bin) {
+			if (count === 0)
+				return;
+			var x = ranges[0][bin % countX];
+			var y = ranges[1][Math.floor(bin/countX)];
+			density.push({
+				x: x[0], y: y[0], width: x[1]-x[0], height: y[1]-y[0],
+				count: count,
+				weight: Math.log(1+count)/Math.log(1+maxCount)
+			});
+		});
+		return density;
+	}
+
 	/**
 	 * Set the chart's selection of data to the data represented
 	 * by the given list of indices
@@ -310,7 +536,33 @@
 	 */
 	CINEMA_COMPONENTS.ScatterPlot.prototype.setOverlayPoints = function(data) {
 		this.overlayData = data;
-		this.redrawOverlayPaths();
+		this.redrawOverlayPoints();
+	};
+
+	/**
+	 * Override linkSelectionModel() to publish the point under the mouse (as the highlighted rows)
+	 * and to draw the model's selection, highlighted rows and overlay data
+	 */
+	CINEMA_COMPONENTS.ScatterPlot.prototype.linkSelectionModel = function(model) {
+		var self = this;
+		this.dispatch.on('mouseover.selectionModel'+model.modelId, function(index) {
+			model.setHighlighted(index === null || index === undefined ? [] : [index]);
+		});
+
+		var name = '.component'+this.componentId;
+		model.dispatch.on('selectionchange'+name, function(selection) {
+			self.setSelection(selection);
+		});
+		model.dispatch.on('highlightchange'+name, function(indices) {
+			self.setHighlightedPoints(indices);
+		});
+		model.dispatch.on('overlaychange'+name, function(data) {
+			self.setOverlayPoints(data);
+		});
+
+		this.setSelection(model.selection.slice());
+		this.setHighlightedPoints(model.highlighted.slice());
+		this.setOverlayPoints(model.overlayData);
 	};
 
 	/**
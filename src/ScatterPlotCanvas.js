@@ -178,6 +178,8 @@
 				" point(s) could not be plotted (because they contain NaN or undefined values).");
 		else
 			this.warningReadout.text('');
+		//Only the drawn points can be moused over
+		this.plottablePoints = this.getDrawnPoints(this.plottablePoints);
 
 		var ctx = this.selectedCanvas.getContext('2d');
 		ctx.clearRect(0,0,this.internalWidth,this.internalHeight);
@@ -185,6 +187,17 @@
 		var indexCtx = this.indexCanvas.getContext('2d');
 		indexCtx.clearRect(0,0,this.internalWidth,this.internalHeight);
 
+		//Draw the density of the points, if there are too many to draw
+		if (this.density) {
+			ctx.save();
+			ctx.fillStyle = ctx.strokeStyle;
+			this.density.forEach(function(cell) {
+				ctx.globalAlpha = 0.2+0.8*cell.weight;
+				ctx.fillRect(cell.x,cell.y,cell.width,cell.height);
+			});
+			ctx.restore();
+		}
+
 		this.drawIterator = (function*(queue){
 			self.loading.style('display','initial');
 			var i = 0;
@@ -195,6 +208,17 @@
 				ctx.arc(x,y,6,0,2*Math.PI);
 				ctx.fill();
 				ctx.stroke();
+				//Points of tagged rows are marked with a ring in the color of their tag
+				var tagColor = self.getTagColor(queue[i]);
+				if (tagColor) {
+					ctx.save();
+					ctx.strokeStyle = tagColor;
+					ctx.lineWidth = 3;
+					ctx.beginPath();
+					ctx.arc(x,y,9,0,2*Math.PI);
+					ctx.stroke();
+					ctx.restore();
+				}
 
 				indexCtx.fillStyle = indexToColor(i);
 				indexCtx.beginPath();
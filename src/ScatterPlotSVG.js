@@ -51,6 +51,9 @@
 			.attr('preserveAspectRatio','none')
 			.attr('width','100%')
 			.attr('height','100%');
+		//Add group for the density of selected points (drawn when there are too many to draw)
+		this.densityCells = this.svg.append('g')
+			.classed('densityCells',true);
 		//Add group for selected points
 		this.selectedPoints = this.svg.append('g')
 			.classed('selectedPoints',true);
@@ -91,9 +94,23 @@
 				" point(s) could not be plotted (because they contain NaN or undefined values).");
 		else
 			this.warningReadout.text('');
+		var drawn = this.getDrawnPoints(plottable);
+		//Bind density to cells and update
+		var cells = this.densityCells
+			.selectAll('rect').data(this.density || []);
+		cells.enter() //ENTER
+			.append('rect')
+		.merge(cells) //ENTER + UPDATE
+			.attr('x',function(d) {return d.x;})
+			.attr('y',function(d) {return d.y;})
+			.attr('width',function(d) {return d.width;})
+			.attr('height',function(d) {return d.height;})
+			.style('fill-opacity',function(d) {return 0.2+0.8*d.weight;});
+		cells.exit()
+			.remove();
 		//Bind to selection and update
 		var update = this.selectedPoints
-			.selectAll('circle').data(plottable);
+			.selectAll('circle').data(drawn);
 		update.enter() //ENTER
 			.append('circle')
 			.attr('r','6')
@@ -105,6 +122,9 @@
 			.attr('cy',function(d) {
 				return self.y(self.db.data[d][self.yDimension]);
 			})
+			//Points of tagged rows are marked with the color of their tag
+			.classed('tagged',function(d) {return self.getTagColor(d) !== undefined;})
+			.style('stroke',function(d) {return self.getTagColor(d) || null;})
 			.on('mouseenter',function(d) {
 				self.dispatch.call('mouseover',self,d,d3.event);
 			})
@@ -0,0 +1,262 @@
+'use strict';
+(function() {
+	/**
+	 * CINEMA_COMPONENTS
+	 * SELECTION MODEL
+	 *
+	 * The SelectionModel module for the CINEMA_COMPONENTS library.
+	 * Contains the constructor for SelectionModel objects, which hold the selected,
+	 * highlighted, focused and overlaid data shared by a set of linked components
+	 *
+	 * @exports CINEMA_COMPONENTS
+	 */
+
+	//If CINEMA_COMPONENTS is already defined, add to it, otherwise create it
+	var CINEMA_COMPONENTS = {}
+	if (window.CINEMA_COMPONENTS)
+		CINEMA_COMPONENTS = window.CINEMA_COMPONENTS;
+	else
+		window.CINEMA_COMPONENTS = CINEMA_COMPONENTS;
+
+	//Require that the Component module be included
+	if (!CINEMA_COMPONENTS.COMPONENT_INCLUDED)
+		throw new Error("CINEMA_COMPONENTS SelectionModel module requires that Component"+
+			" module be included. Please make sure that Component module"+
+			" is included BEFORE SelectionModel module");
+
+	//Require that d3 be included
+	if (!window.d3) {
+		throw new Error("CINEMA_COMPONENTS SelectionModel module requires that"+
+		" d3 be included (at least d3v4). Please make sure that d3 is included BEFORE the"+
+		" the SelectionModel module");
+	}
+
+	/** @type {boolean} - Flag to indicate that the SelectionModel module has been included */
+	CINEMA_COMPONENTS.SELECTION_MODEL_INCLUDED = true;
+
+	/** @type {number} - The number of selection models created (used to give each a unique id) */
+	var modelCount = 0;
+
+	/**
+	 * Constructor for SelectionModel
+	 * Holds the selected, highlighted, focused and overlaid data for a set of linked components.
+	 * Attached components publish their changes to the model (e.g. a Pcoord's brushes or the
+	 * path under the mouse) and show the model's changes (e.g. a ScatterPlot draws the selected
+	 * and highlighted points), so that brushing in one view is shown in all of them.
+	 * Each source of a selection (a component or a name) selects a set of rows, and the
+	 * model's selection is the rows selected by all of them.
+	 * @param {CINEMA_COMPONENTS.Database} database - The database the indices refer to
+	 * @param {CINEMA_COMPONENTS.Component[]} components - The components to link (optional,
+	 *     more can be added later with attach())
+	 */
+	CINEMA_COMPONENTS.SelectionModel = function(database, components) {
+		var self = this;
+
+		/** @type {number} A unique id for this model (used to name its event handlers) */
+		this.modelId = modelCount++;
+		/** @type {CINEMA_COMPONENTS.Database} The database the indices refer to */
+		this.db = database;
+		/** @type {CINEMA_COMPONENTS.Component[]} The attached components */
+		this.components = [];
+
+		/** @type {Object} The indices selected by each source, keyed by source name */
+		this.filters = {};
+		/** @type {number[]} Indices of the rows selected by all sources (in order) */
+		this.selection = d3.range(this.db.getRowCount());
+		/** @type {number[]} Indices of the highlighted rows */
+		this.highlighted = [];
+		/** @type {number|null} Index of the focused row (e.g. the last one clicked), or null */
+		this.focus = null;
+		/** @type {CINEMA_COMPONENTS.ExtraData[]} Custom data to draw over the components */
+		this.overlayData = [];
+
+		/** @type {d3.dispatch} Hook for events on the model
+		 * Set handlers with on() function. Ex: this.dispatch.on('selectionchange',handlerFunction(selection))
+		 * 'selectionchange': Triggered when the selection changes (called with the selection)
+		 * 'highlightchange': Triggered when the highlighted rows change (called with their indices)
+		 * 'focuschange': Triggered when the focused row changes (called with its index or null)
+		 * 'overlaychange': Triggered when the overlay data changes (called with the overlay data)
+		 */
+		this.dispatch = d3.dispatch('selectionchange','highlightchange','focuschange','overlaychange');
+
+		//Keep indices on the same rows when the data changes
+		this.db.dispatch.on('dataUpdated.selectionModel'+this.modelId, function(updateInfo) {
+			handleDataUpdate(self, updateInfo);
+		});
+
+		(components || []).forEach(function(component) {
+			self.attach(component);
+		});
+	};
+
+	/**
+	 * Link the given component to the model (see Component.linkSelectionModel()).
+	 * @param {CINEMA_COMPONENTS.Component} component - The component
+	 * @throws {Error} If the component does not use the model's database or cannot be linked
+	 *     (it does not implement linkSelectionModel(), e.g. LineChart)
+	 */
+	CINEMA_COMPONENTS.SelectionModel.prototype.attach = function(component) {
+		if (component.db !== this.db)
+			throw new Error("Cannot attach a component with a different database.");
+		if (component.linkSelectionModel === CINEMA_COMPONENTS.Component.prototype.linkSelectionModel)
+			throw new Error("Cannot attach a component that does not support linking.");
+		if (this.components.includes(component))
+			return;
+		this.components.push(component);
+		component.linkSelectionModel(this);
+	};
+
+	/**
+	 * Unlink the given component from the model. Anything it selected is no longer selected.
+	 * @param {CINEMA_COMPONENTS.Component} component - The component
+	 */
+	CINEMA_COMPONENTS.SelectionModel.prototype.detach = function(component) {
+		var index = this.components.indexOf(component);
+		if (index === -1)
+			return;
+		this.components.splice(index, 1);
+		component.unlinkSelectionModel(this);
+		this.setSelection(null, component);
+	};
+
+	/**
+	 * Set the rows selected by the given source. The model's selection becomes the rows
+	 * selected by all sources.
+	 * @param {number[]|null} indices - Indices of the selected rows (null if the source does
+	 *     not restrict the selection)
+	 * @param {CINEMA_COMPONENTS.Component|string} source - The component or name of what made
+	 *     the selection (defaults to 'default')
+	 */
+	CINEMA_COMPONENTS.SelectionModel.prototype.setSelection = function(indices, source) {
+		var key = getSourceKey(source);
+		//(Without duplicates, since updateSelection() counts how many sources select each row)
+		if (indices)
+			this.filters[key] = d3.set(indices).values().map(Number);
+		else
+			delete this.filters[key];
+		updateSelection(this);
+	};
+
+	/**
+	 * Clear the selection of the given source, or of every source if none is given
+	 * @param {CINEMA_COMPONENTS.Component|string} source - The component or name of the source
+	 */
+	CINEMA_COMPONENTS.SelectionModel.prototype.clearSelection = function(source) {
+		if (source === undefined)
+			this.filters = {};
+		else
+			delete this.filters[getSourceKey(source)];
+		updateSelection(this);
+	};
+
+	/**
+	 * Set the highlighted rows
+	 * @param {number[]} indices - Indices of the rows to highlight
+	 */
+	CINEMA_COMPONENTS.SelectionModel.prototype.setHighlighted = function(indices) {
+		indices = indices ? indices.slice() : [];
+		if (arraysEqual(this.highlighted, indices))
+			return;
+		this.highlighted = indices;
+		this.dispatch.call('highlightchange', this, this.highlighted.slice());
+	};
+
+	/**
+	 * Set the focused row
+	 * @param {number|null} index - Index of the row to focus on, or null for none
+	 */
+	CINEMA_COMPONENTS.SelectionModel.prototype.setFocus = function(index) {
+		index = index === undefined ? null : index;
+		if (this.focus === index)
+			return;
+		this.focus = index;
+		this.dispatch.call('focuschange', this, this.focus);
+	};
+
+	/**
+	 * Set the custom data to draw over the components
+	 * @param {CINEMA_COMPONENTS.ExtraData[]} data - The overlay data
+	 */
+	CINEMA_COMPONENTS.SelectionModel.prototype.setOverlay = function(data) {
+		this.overlayData = data || [];
+		this.dispatch.call('overlaychange', this, this.overlayData);
+	};
+
+	/**
+	 * Unlink all components from the model and stop following changes to the data
+	 */
+	CINEMA_COMPONENTS.SelectionModel.prototype.destroy = function() {
+		var self = this;
+		this.components.slice().forEach(function(component) {
+			self.detach(component);
+		});
+		this.db.dispatch.on('dataUpdated.selectionModel'+this.modelId, null);
+	};
+
+	/**
+	 * Get the key in filters for a source of a selection
+	 * @param {CINEMA_COMPONENTS.Component|string} source - The component or name of the source
+	 */
+	var getSourceKey = function(source) {
+		if (source instanceof CINEMA_COMPONENTS.Component)
+			return 'component'+source.componentId;
+		return source === undefined ? 'default' : String(source);
+	};
+
+	/**
+	 * Recalculate the selection as the rows selected by all sources,
+	 * triggering 'selectionchange' if it changed
+	 * @param {CINEMA_COMPONENTS.SelectionModel} self - The model
+	 */
+	var updateSelection = function(self) {
+		var keys = d3.keys(self.filters);
+		var rowCount = self.db.getRowCount();
+		var counts = new Uint16Array(rowCount);
+		keys.forEach(function(key) {
+			self.filters[key].forEach(function(i) {
+				if (i >= 0 && i < rowCount)
+					counts[i]++;
+			});
+		});
+		var selection = [];
+		for (var i = 0; i < rowCount; i++) {
+			if (counts[i] === keys.length)
+				selection.push(i);
+		}
+		if (arraysEqual(self.selection, selection))
+			return;
+		self.selection = selection;
+		self.dispatch.call('selectionchange', self, self.selection.slice());
+	};
+
+	/**
+	 * Keep the selections, highlighted and focused rows on the same rows after a change
+	 * to the data (rows that were removed are dropped)
+	 * @param {CINEMA_COMPONENTS.SelectionModel} self - The model
+	 * @param {Object} updateInfo - The summary of the changes sent with the database's 'dataUpdated' event
+	 */
+	var handleDataUpdate = function(self, updateInfo) {
+		var remap = CINEMA_COMPONENTS.Component.remapIndices;
+		d3.keys(self.filters).forEach(function(key) {
+			self.filters[key] = remap(self.filters[key], updateInfo);
+		});
+		updateSelection(self);
+		self.setHighlighted(remap(self.highlighted, updateInfo));
+		if (self.focus !== null) {
+			var focus = remap([self.focus], updateInfo);
+			self.setFocus(focus.length ? focus[0] : null);
+		}
+	};
+
+	//Convenience function to compare two arrays
+	var arraysEqual = function(a, b) {
+		if (a.length !== b.length)
+			return false;
+		for (var i = 0; i < a.length; i++) {
+			if (a[i] !== b[i])
+				return false;
+		}
+		return true;
+	};
+
+})();